@@ -1,6 +1,7 @@
 /**
  * AI-Powered Flashcard Generator
- * Uses free AI APIs (Groq, Gemini, HuggingFace) to generate diverse, intelligent flashcards
+ * Uses free AI APIs (Groq, Gemini, HuggingFace) or any OpenAI-compatible
+ * server, such as a local llama.cpp or Ollama, to generate diverse, intelligent flashcards
  */
 
 (function () {
@@ -12,74 +13,416 @@
     huggingface: 'https://api-inference.huggingface.co/models/meta-llama/Llama-3.2-3B-Instruct',
   };
 
-  const MODELS = {
-    groq: {
-      fast: 'llama-3.1-8b-instant', // Faster, good for simple questions
-      smart: 'llama-3.3-70b-versatile', // Smarter, better variety
-    },
-    gemini: {
-      default: 'gemini-1.5-flash',
-    },
+  const PROVIDER_LABELS = {
+    groq: 'Groq',
+    gemini: 'Gemini',
+    huggingface: 'HuggingFace',
+    openai: 'OpenAI-compatible server',
   };
 
-  class AIFlashcardGenerator {
-    constructor(settings) {
-      this.settings = settings || {};
-      this.provider = this.settings.aiProvider || 'groq';
-      this.apiKey = this.settings.aiApiKey || '';
+  // Failed requests (429 and 5xx) are retried with exponential backoff,
+  // or after the server's Retry-After when it sends one
+  const MAX_RETRIES = 3;
+  const BASE_RETRY_DELAY_MS = 1000;
+  const MAX_RETRY_DELAY_MS = 30000;
+  const DEFAULT_CONCURRENCY = 2;
+  const MINUTE_MS = 60000;
+
+  // Start times of requests in the last minute, shared by every generator on
+  // the page so concurrent sections draw on one budget
+  const recentRequests = [];
+
+  function createAbortError() {
+    return new DOMException('Generation cancelled', 'AbortError');
+  }
+
+  function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+  }
+
+  // Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Wait until a request fits in the per-minute budget, then claim it
+  async function waitForRateLimit(requestsPerMinute, signal) {
+    if (!(requestsPerMinute > 0)) return;
+
+    for (;;) {
+      const now = Date.now();
+      while (recentRequests.length > 0 && recentRequests[0] <= now - MINUTE_MS) {
+        recentRequests.shift();
+      }
+      if (recentRequests.length < requestsPerMinute) {
+        recentRequests.push(now);
+        return;
+      }
+      await sleep(recentRequests[0] + MINUTE_MS - now, signal);
     }
+  }
 
-    /**
-     * Generate flashcards from markdown content using AI
-     * @param {string} markdown - The markdown content
-     * @param {string} topicTitle - The topic title
-     * @param {object} section - Section details {heading, content, level}
-     * @returns {Promise<Array>} Array of flashcard objects
-     */
-    async generateFlashcards(markdown, topicTitle, section) {
-      if (!this.apiKey) {
-        throw new Error('AI API key not configured');
+  // Retry-After is either a number of seconds or an HTTP date
+  function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  function isRetryable(error) {
+    return error.status === 429 || error.status >= 500;
+  }
+
+  function getRetryDelay(error, attempt) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs;
+    }
+    // Jitter keeps concurrent sections from retrying in lockstep
+    const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.25);
+    return Math.min(backoff, MAX_RETRY_DELAY_MS);
+  }
+
+  // The card schema the prompt asks for. `language` is optional and labels
+  // the answer's unlabelled code blocks.
+  const CARD_TYPES = [
+    'definition',
+    'explanation',
+    'application',
+    'comparison',
+    'debugging',
+    'scenario',
+    'fill-blank',
+    'best-practice',
+  ];
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+  const LANGUAGE_PATTERN = /^[a-z0-9+#.-]{1,20}$/;
+
+  /**
+   * The JSON part of a model reply: the body of a ```json fence if the reply
+   * has prose around one, otherwise everything from the first bracket to the
+   * last. A reply cut off mid-array is returned as is for repairJson to close.
+   */
+  function extractJson(text) {
+    let json = text.trim();
+
+    if (!/^[[{]/.test(json)) {
+      const fence = [...json.matchAll(/```[a-z]*\s*\n([\s\S]*?)```/gi)].find(match =>
+        /^[[{]/.test(match[1].trim())
+      );
+      if (fence) json = fence[1].trim();
+    }
+
+    const start = json.search(/[[{]/);
+    if (start === -1) {
+      throw new Error('No JSON array found in AI response');
+    }
+    const end = json.lastIndexOf(json[start] === '[' ? ']' : '}');
+    return end > start ? json.slice(start, end + 1) : json.slice(start);
+  }
+
+  /**
+   * Fix the JSON mistakes models make most: comments, trailing or missing
+   * commas, single quotes, unquoted keys, raw newlines, stray backslashes and
+   * unescaped quotes inside strings, and a reply cut off before the end
+   * (kept up to its last complete element).
+   * @param {string} json
+   * @returns {string}
+   */
+  function repairJson(json) {
+    const text = json.includes('"') ? json : json.replace(/[“”]/g, '"');
+    const stack = [];
+    let out = '';
+    let last = ''; // Last non-whitespace character written
+    let lastComplete = null;
+    let i = 0;
+
+    const readString = quote => {
+      let value = '';
+      for (i++; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+          const next = text[i + 1];
+          if (next === "'" && quote === "'") {
+            value += "'";
+          } else if (next !== undefined && '"\\/bfnrtu'.includes(next)) {
+            value += char + next;
+          } else {
+            value += '\\\\';
+            continue;
+          }
+          i++;
+        } else if (char === quote) {
+          // A quote only ends the string if JSON could continue after it
+          const rest = text.slice(i + 1);
+          if (quote === "'" || /^\s*([,:}\]]|$)/.test(rest) || /^[ \t]*[\r\n]/.test(rest)) {
+            i++;
+            return `"${value}"`;
+          }
+          value += '\\"';
+        } else if (char === '"') {
+          value += '\\"';
+        } else if (char === '\n') {
+          value += '\\n';
+        } else if (char === '\r') {
+          value += '\\r';
+        } else if (char === '\t') {
+          value += '\\t';
+        } else if (char < ' ') {
+          value += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        } else {
+          value += char;
+        }
       }
+      return `"${value}"`;
+    };
 
-      const prompt = this.buildPrompt(topicTitle, section);
-      const response = await this.callAI(prompt);
-      return this.parseResponse(response, section);
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '/' && text[i + 1] === '/') {
+        i = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+      } else if (char === '/' && text[i + 1] === '*') {
+        i = text.indexOf('*/', i) === -1 ? text.length : text.indexOf('*/', i) + 2;
+      } else if (char === '"' || char === "'" || char === '{' || char === '[') {
+        if (last && '}]"'.includes(last)) out += ',';
+        if (char === '"' || char === "'") {
+          out += readString(char);
+          last = '"';
+        } else {
+          stack.push(char === '{' ? '}' : ']');
+          out += char;
+          last = char;
+          i++;
+        }
+      } else if (char === '}' || char === ']') {
+        out = out.replace(/,\s*$/, '');
+        out += char;
+        last = char;
+        stack.pop();
+        if (stack.length > 0 && stack[stack.length - 1] === ']') {
+          lastComplete = { length: out.length, stack: stack.slice() };
+        }
+        i++;
+      } else if (/[A-Za-z_$]/.test(char) && (last === '{' || last === ',')) {
+        const word = text.slice(i).match(/^[\w$-]+/)[0];
+        i += word.length;
+        out += /^\s*:/.test(text.slice(i)) ? `"${word}"` : word;
+        last = word[word.length - 1];
+      } else {
+        out += char;
+        if (/\S/.test(char)) last = char;
+        i++;
+      }
     }
 
-    /**
-     * Build the prompt for AI based on content and settings
-     */
-    buildPrompt(topicTitle, section) {
-      const questionsPerSection = this.settings.questionsPerSection || 3;
-      const diversity = this.settings.questionDiversity || 'high';
-
-      const diversityInstructions = {
-        low: 'Focus on definition and basic understanding questions.',
-        medium: 'Mix definition questions with some application and explanation questions.',
-        high: 'Use maximum variety: definitions, how-to, when-to-use, comparisons, debugging, scenarios, and fill-in-blanks.',
-      };
+    if (stack.length > 0 && lastComplete) {
+      out = out.slice(0, lastComplete.length) + lastComplete.stack.reverse().join('');
+    } else if (stack.length > 0) {
+      out = out.replace(/,\s*$/, '') + stack.reverse().join('');
+    }
+    return out;
+  }
+
+  /**
+   * Parse the array in a model reply, repairing it if plain JSON.parse fails.
+   * An object wrapping an array ({"cards": [...]}) or a lone object is
+   * accepted too.
+   * @param {string} text - The model's reply
+   * @returns {Array}
+   * @throws {Error} If no JSON can be recovered
+   */
+  function parseJsonArray(text) {
+    const json = extractJson(text);
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (e) {
+      value = JSON.parse(repairJson(json));
+    }
+
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') {
+      return Object.values(value).find(Array.isArray) || [value];
+    }
+    throw new Error('AI response is not a JSON array');
+  }
 
-      return `You are an expert technical flashcard generator for software engineering education.
+  function normalizeEnum(value) {
+    return String(value)
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_]+/g, '-')
+      .replace(/^fill-in-(the-)?blanks?$/, 'fill-blank');
+  }
 
-TOPIC: ${topicTitle}
-SECTION: ${section.heading}
-CONTENT:
-${section.content}
+  // Give unlabelled opening code fences the card's language
+  function labelCodeFences(answer, language) {
+    let open = false;
+    return answer
+      .split('\n')
+      .map(line => {
+        const match = line.match(/^(\s*)```(.*)$/);
+        if (!match) return line;
+        open = !open;
+        return open && !match[2].trim() ? `${match[1]}\`\`\`${language}` : line;
+      })
+      .join('\n');
+  }
 
-TASK: Generate exactly ${questionsPerSection} diverse flashcard questions from this content.
+  /**
+   * Check one card from a model reply against the schema and the rules
+   * generated cards must pass (Flashcards.getInvalidCardReason).
+   * @param {*} raw - An element of the reply's array
+   * @returns {{card?: object, reason?: string}} The cleaned fields, or why it was rejected
+   */
+  function validateCard(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { reason: 'not an object' };
+    }
+
+    const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+    let answer = typeof raw.answer === 'string' ? raw.answer.trim() : '';
+    const type = raw.type ? normalizeEnum(raw.type) : '';
+    const difficulty = raw.difficulty ? normalizeEnum(raw.difficulty) : 'medium';
+    const language = raw.language ? normalizeEnum(raw.language) : '';
+
+    if (!question) return { reason: 'missing question' };
+    if (!answer) return { reason: 'missing answer' };
+    if (!type) return { reason: 'missing type' };
+    if (!CARD_TYPES.includes(type)) return { reason: `unknown type "${raw.type}"` };
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return { reason: `unknown difficulty "${raw.difficulty}"` };
+    }
+    if (language && !LANGUAGE_PATTERN.test(language)) {
+      return { reason: `invalid language "${raw.language}"` };
+    }
 
-QUESTION TYPES TO USE (${diversity} diversity):
-${diversityInstructions[diversity]}
+    const reason = window.Flashcards.getInvalidCardReason({ question, answer });
+    if (reason) return { reason };
+
+    if (language) answer = labelCodeFences(answer, language);
+    return { card: { question, answer, type, difficulty } };
+  }
+
+  // Part of every cache key. Bump it when a change to buildPrompt or
+  // parseResponse should make earlier cached replies miss.
+  const PROMPT_VERSION = 1;
+
+  // Cached replies live in the aiCache store when StudyStorage is on the page
+  function openCache() {
+    if (!window.StudyStorage) {
+      return Promise.reject(new Error('StudyStorage is not loaded'));
+    }
+    return window.StudyStorage.open();
+  }
+
+  function readCache(key) {
+    return openCache()
+      .then(adapter => adapter.get('aiCache', key))
+      .catch(() => undefined);
+  }
+
+  // Store a reply, dropping older replies for the same section and model
+  function writeCache(record) {
+    return openCache()
+      .then(adapter =>
+        adapter.transaction(['aiCache'], tx =>
+          tx.query('aiCache', 'topic', record.topic).then(records => {
+            const replaced = records.filter(
+              old =>
+                old.key !== record.key &&
+                old.section === record.section &&
+                old.provider === record.provider &&
+                old.model === record.model
+            );
+            return Promise.all([
+              ...replaced.map(old => tx.delete('aiCache', old.key)),
+              tx.put('aiCache', record),
+            ]);
+          })
+        )
+      )
+      .catch(e => {
+        console.error('Error caching AI response:', e);
+      });
+  }
+
+  const QUESTION_TYPES = {
+    definition: '"What is X?" - for concepts and terminology',
+    explanation: '"How does X work?" - for mechanisms and processes',
+    application: '"When should you use X?" - for practical use cases',
+    comparison: '"What\'s the difference between X and Y?" - for contrasts',
+    debugging: '"What\'s wrong with this code?" - for common mistakes',
+    scenario: '"How would you solve X problem?" - for real-world application',
+    'fill-blank': '"A closure is a _____ bundled with _____" - for key facts',
+    'best-practice': '"What\'s the best way to X?" - for recommendations',
+  };
+
+  const DIVERSITY_INSTRUCTIONS = {
+    low: 'Focus on definition and basic understanding questions.',
+    medium: 'Mix definition questions with some application and explanation questions.',
+    high: 'Use maximum variety: definitions, how-to, when-to-use, comparisons, debugging, scenarios, and fill-in-blanks.',
+  };
+
+  // {{types}} in a template: the question formats and how much to mix them
+  function describeQuestionTypes(diversity) {
+    const formats = CARD_TYPES.map((type, i) => `${i + 1}. **${type}**: ${QUESTION_TYPES[type]}`);
+    return `QUESTION TYPES TO USE (${diversity} diversity):
+${DIVERSITY_INSTRUCTIONS[diversity] || DIVERSITY_INSTRUCTIONS.high}
 
 Available question formats:
-1. **definition**: "What is X?" - for concepts and terminology
-2. **explanation**: "How does X work?" - for mechanisms and processes
-3. **application**: "When should you use X?" - for practical use cases
-4. **comparison**: "What's the difference between X and Y?" - for contrasts
-5. **debugging**: "What's wrong with this code?" - for common mistakes
-6. **scenario**: "How would you solve X problem?" - for real-world application
-7. **fill-blank**: "A closure is a _____ bundled with _____" - for key facts
-8. **best-practice**: "What's the best way to X?" - for recommendations
+${formats.join('\n')}`;
+  }
+
+  // Placeholders a prompt template can use, filled in by buildPrompt
+  const PROMPT_PLACEHOLDERS = ['topic', 'section', 'count', 'types', 'existingQuestions'];
+  const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+  // Unknown placeholders are left as they are, so a typo shows in the preview
+  function renderTemplate(template, values) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      PROMPT_PLACEHOLDERS.includes(name) ? String(values[name]) : match
+    );
+  }
+
+  const OUTPUT_RULES = `- "type" must be one of the 8 formats above, spelled exactly as shown
+- "difficulty" must be "easy", "medium" or "hard"
+- If the answer contains code, add "language" with its language, e.g. "javascript"`;
+
+  const PROMPT_PRESETS = [
+    {
+      id: 'standard',
+      name: 'Standard',
+      builtIn: true,
+      template: `You are an expert technical flashcard generator for software engineering education.
+
+TOPIC: {{topic}}
+
+SECTION:
+{{section}}
+
+TASK: Generate exactly {{count}} diverse flashcard questions from this content.
+
+{{types}}
 
 REQUIREMENTS:
 - Return ONLY valid JSON, no markdown or extra text
@@ -88,6 +431,7 @@ REQUIREMENTS:
 - Include code blocks in answers when relevant (use markdown format)
 - Vary question types for better learning
 - Focus on the most important concepts
+${OUTPUT_RULES}
 
 EXAMPLE OUTPUT FORMAT:
 [
@@ -105,38 +449,423 @@ EXAMPLE OUTPUT FORMAT:
   }
 ]
 
-Return ONLY the JSON array, nothing else:`;
+Return ONLY the JSON array, nothing else:`,
+    },
+    {
+      id: 'exam-mcq',
+      name: 'Exam-style multiple choice',
+      builtIn: true,
+      template: `You are writing exam questions for a software engineering course.
+
+TOPIC: {{topic}}
+
+SECTION:
+{{section}}
+
+TASK: Write exactly {{count}} multiple-choice questions that test understanding of this section rather than recall of its wording.
+
+{{types}}
+
+REQUIREMENTS:
+- Put the question and four options labelled A) to D) in "question", one option per line
+- Exactly one option is correct; the others are plausible misconceptions
+- "answer" starts with the correct letter, then explains in 1-3 sentences why it is right and the others are wrong
+${OUTPUT_RULES}
+
+Return ONLY a JSON array of objects with "question", "answer", "type" and "difficulty", nothing else:`,
+    },
+    {
+      id: 'interview',
+      name: 'Interview questions',
+      builtIn: true,
+      template: `You are a senior engineer preparing technical interview questions.
+
+TOPIC: {{topic}}
+
+SECTION:
+{{section}}
+
+TASK: Write exactly {{count}} questions an interviewer would really ask about this section, with the answer a strong candidate would give out loud: the key idea first, then a short example or trade-off.
+
+{{types}}
+
+The deck already has these questions for this section; do not repeat them:
+{{existingQuestions}}
+
+REQUIREMENTS:
+- Prefer open questions ("How would you...", "Why does...") over definitions
+- Answers should be 50-200 words and may include a short code block
+${OUTPUT_RULES}
+
+Return ONLY a JSON array of objects with "question", "answer", "type" and "difficulty", nothing else:`,
+    },
+    {
+      id: 'pitfalls',
+      name: 'Pitfalls only',
+      builtIn: true,
+      template: `You are an expert reviewer who knows the mistakes developers make.
+
+TOPIC: {{topic}}
+
+SECTION:
+{{section}}
+
+TASK: Write up to {{count}} flashcards about the pitfalls, gotchas and misconceptions in this section, and nothing else. Return [] if it has none.
+
+REQUIREMENTS:
+- Use type "debugging" for code that misbehaves ("What's wrong with this code?"), "comparison" for two things people confuse, and "best-practice" for how to avoid the mistake
+- Each answer says what goes wrong, why, and the fix
+- Include the problem code in the question when there is any
+${OUTPUT_RULES}
+
+Return ONLY a JSON array of objects with "question", "answer", "type" and "difficulty", nothing else:`,
+    },
+  ];
+
+  const MODELS = {
+    groq: {
+      fast: 'llama-3.1-8b-instant', // Faster, good for simple questions
+      smart: 'llama-3.3-70b-versatile', // Smarter, better variety
+    },
+    gemini: {
+      default: 'gemini-1.5-flash',
+    },
+  };
+
+  class AIFlashcardGenerator {
+    constructor(settings) {
+      this.settings = settings || {};
+      this.provider = this.settings.aiProvider || 'groq';
+      this.apiKey = this.settings.aiApiKey || '';
+      this.baseUrl = (this.settings.aiBaseUrl || '').trim().replace(/\/+$/, '');
+      this.model = (this.settings.aiModel || '').trim();
+    }
+
+    /**
+     * Whether settings are complete enough to call the provider: hosted
+     * providers need an API key, OpenAI-compatible servers a base URL
+     * @param {object} settings - Flashcard settings
+     * @returns {boolean}
+     */
+    static isConfigured(settings) {
+      return new AIFlashcardGenerator(settings).isConfigured();
+    }
+
+    isConfigured() {
+      return this.provider === 'openai' ? Boolean(this.baseUrl) : Boolean(this.apiKey);
+    }
+
+    assertConfigured() {
+      if (!this.isConfigured()) {
+        throw new Error(
+          this.provider === 'openai' ? 'AI server URL not configured' : 'AI API key not configured'
+        );
+      }
+    }
+
+    /**
+     * Generate flashcards from markdown content using AI
+     * @param {string} markdown - The markdown content
+     * @param {string} topicTitle - The topic title
+     * @param {object} section - Section details {heading, content, level, path}
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request and any retries
+     * @returns {Promise<{cards: Array, rejected: Array, cached: boolean}>} The
+     *   flashcards, the reply's cards that failed validation with the reason
+     *   (see parseResponse), and whether the reply came from the cache. Replies
+     *   are cached per section and template (see getCacheKey), so an unchanged
+     *   section costs no request.
+     */
+    async generateFlashcards(markdown, topicTitle, section, options = {}) {
+      this.assertConfigured();
+
+      const prompt = this.buildPrompt(topicTitle, section);
+      const key = this.getCacheKey(topicTitle, section);
+      const cached = await readCache(key);
+      if (cached) {
+        try {
+          return { ...this.parseResponse(cached.response, section), cached: true };
+        } catch (e) {
+          // Unreadable under the current rules; ask again below
+        }
+      }
+
+      const response = await this.callAI(prompt, options.signal);
+      const result = this.parseResponse(response, section);
+      await writeCache({
+        key,
+        topic: topicTitle,
+        section: (section.path || [section.heading]).join('\n'),
+        provider: this.provider,
+        model: this.getModelName(),
+        response,
+        created: new Date().toISOString(),
+      });
+      return { ...result, cached: false };
+    }
+
+    /**
+     * The model a request goes to, as named in cache records
+     * @returns {string}
+     */
+    getModelName() {
+      switch (this.provider) {
+        case 'groq':
+          return this.settings.questionDiversity === 'low' ? MODELS.groq.fast : MODELS.groq.smart;
+        case 'gemini':
+          return MODELS.gemini.default;
+        case 'huggingface':
+          return API_ENDPOINTS.huggingface.split('/models/')[1];
+        default:
+          return this.model || 'default';
+      }
+    }
+
+    // Same provider, model, prompt version, template, question settings and
+    // section text: the reply can be reused. The section's existing questions
+    // are left out, as they change with every card added.
+    getCacheKey(topicTitle, section) {
+      const { hashText } = window.Flashcards;
+      const template = AIFlashcardGenerator.getPromptTemplate(this.settings);
+      const content = [topicTitle, section.heading, (section.content || '').trim()].join('\n');
+      return [
+        this.provider,
+        this.getModelName(),
+        `v${PROMPT_VERSION}`,
+        template.id,
+        hashText(template.template),
+        this.settings.questionsPerSection || 3,
+        this.settings.questionDiversity || 'high',
+        hashText(content),
+        content.length,
+      ].join('|');
+    }
+
+    /**
+     * Count the cached replies, all of them and those for one topic
+     * @param {string} [topic] - Topic passed to generateFlashcards
+     * @returns {Promise<{entries: number, topicEntries: number, bytes: number}>}
+     */
+    static getCacheStats(topic) {
+      return openCache()
+        .then(adapter => adapter.query('aiCache'))
+        .then(records => ({
+          entries: records.length,
+          topicEntries: records.filter(record => record.topic === topic).length,
+          bytes: records.reduce((sum, record) => sum + record.response.length, 0),
+        }))
+        .catch(() => ({ entries: 0, topicEntries: 0, bytes: 0 }));
+    }
+
+    /**
+     * Delete cached replies
+     * @param {string} [topic] - Only this topic's replies; all when omitted
+     * @returns {Promise<number>} Replies deleted
+     */
+    static clearCache(topic) {
+      return openCache().then(adapter =>
+        adapter.transaction(['aiCache'], tx =>
+          (topic ? tx.query('aiCache', 'topic', topic) : tx.query('aiCache')).then(records =>
+            Promise.all(records.map(record => tx.delete('aiCache', record.key))).then(
+              () => records.length
+            )
+          )
+        )
+      );
+    }
+
+    /**
+     * Build the prompt for a section from the selected template (see
+     * getPromptTemplate) and the question settings
+     * @param {string} topicTitle - The topic title
+     * @param {object} section - As for generateFlashcards, plus optional
+     *   existingQuestions: questions the deck already has for the section
+     * @param {string} [template] - Template text to use instead, e.g. for a preview
+     * @returns {string}
+     */
+    buildPrompt(topicTitle, section, template) {
+      const text =
+        template === undefined
+          ? AIFlashcardGenerator.getPromptTemplate(this.settings).template
+          : template;
+      const existing = section.existingQuestions || [];
+
+      return renderTemplate(text, {
+        topic: topicTitle,
+        section: `## ${section.heading}\n\n${(section.content || '').trim()}`,
+        count: this.settings.questionsPerSection || 3,
+        types: describeQuestionTypes(this.settings.questionDiversity || 'high'),
+        existingQuestions: existing.length ? existing.map(q => `- ${q}`).join('\n') : '(none yet)',
+      });
+    }
+
+    /**
+     * Built-in templates followed by the user's own
+     * @param {object} settings - Flashcard settings
+     * @returns {Array<{id: string, name: string, template: string, builtIn?: boolean}>}
+     */
+    static getPromptTemplates(settings) {
+      return [...PROMPT_PRESETS, ...((settings && settings.aiPromptTemplates) || [])];
+    }
+
+    /**
+     * The template selected in settings, or the standard one if it is gone
+     * @param {object} settings - Flashcard settings
+     * @returns {{id: string, name: string, template: string, builtIn?: boolean}}
+     */
+    static getPromptTemplate(settings) {
+      const id = settings && settings.aiPromptTemplateId;
+      const templates = AIFlashcardGenerator.getPromptTemplates(settings);
+      return templates.find(template => template.id === id) || PROMPT_PRESETS[0];
+    }
+
+    /**
+     * Placeholders in a template that buildPrompt does not fill in
+     * @param {string} template
+     * @returns {string[]} Names, without braces
+     */
+    static findUnknownPlaceholders(template) {
+      const names = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+      return [...new Set(names)].filter(name => !PROMPT_PLACEHOLDERS.includes(name));
+    }
+
+    /**
+     * Generate cards for several sections, a few at a time. A section that
+     * fails is reported and the rest carry on; after an abort, sections not
+     * yet started are reported as cancelled.
+     * @param {string} markdown - The markdown content
+     * @param {string} topicTitle - The topic title
+     * @param {Array<object>} sections - As for generateFlashcards
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Stops the run
+     * @param {number} [options.concurrency] - Sections in flight at once
+     * @param {function} [options.onProgress] - Called with (section, result)
+     *   when a section starts ({status: 'running'}) and when it ends
+     * @returns {Promise<Array<object>>} One result per section, in order:
+     *   {section, status, cards, rejected, cached, error}, where status is
+     *   'done', 'failed' or 'cancelled' and the rest is as for generateFlashcards
+     */
+    async generateSections(markdown, topicTitle, sections, options = {}) {
+      const { signal, onProgress = () => {} } = options;
+      const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+      const results = new Array(sections.length);
+      let next = 0;
+
+      const runNext = async () => {
+        while (next < sections.length) {
+          const index = next++;
+          const section = sections[index];
+
+          if (signal && signal.aborted) {
+            results[index] = { section, status: 'cancelled', cards: [], rejected: [] };
+          } else {
+            onProgress(section, { status: 'running' });
+            try {
+              const { cards, rejected, cached } = await this.generateFlashcards(
+                markdown,
+                topicTitle,
+                section,
+                { signal }
+              );
+              results[index] = { section, status: 'done', cards, rejected, cached };
+            } catch (error) {
+              const status = isAbortError(error) ? 'cancelled' : 'failed';
+              results[index] = { section, status, cards: [], rejected: [], error };
+            }
+          }
+          onProgress(section, results[index]);
+        }
+      };
+
+      const workers = Math.min(concurrency, sections.length);
+      await Promise.all(Array.from({ length: workers }, runNext));
+      return results;
+    }
+
+    /**
+     * Call the configured provider within the requests-per-minute budget,
+     * retrying rate-limit and server errors
+     * @param {string} prompt
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>} The model's reply
+     */
+    async callAI(prompt, signal) {
+      for (let attempt = 0; ; attempt++) {
+        await waitForRateLimit(this.settings.aiRequestsPerMinute, signal);
+        try {
+          return await this.callProvider(prompt, signal);
+        } catch (error) {
+          if (isAbortError(error) || attempt >= MAX_RETRIES || !isRetryable(error)) {
+            throw error;
+          }
+          await sleep(getRetryDelay(error, attempt), signal);
+        }
+      }
     }
 
     /**
      * Call the appropriate AI provider
      */
-    async callAI(prompt) {
+    async callProvider(prompt, signal) {
       switch (this.provider) {
         case 'groq':
-          return await this.callGroq(prompt);
+          return await this.callGroq(prompt, signal);
         case 'gemini':
-          return await this.callGemini(prompt);
+          return await this.callGemini(prompt, signal);
         case 'huggingface':
-          return await this.callHuggingFace(prompt);
+          return await this.callHuggingFace(prompt, signal);
+        case 'openai':
+          return await this.callOpenAICompatible(prompt, signal);
         default:
           throw new Error(`Unsupported AI provider: ${this.provider}`);
       }
     }
 
+    /**
+     * Error for a failed response, with its HTTP status and Retry-After delay
+     * so callAI can decide whether and when to retry
+     */
+    async responseError(response) {
+      const label = PROVIDER_LABELS[this.provider] || this.provider;
+      const body = await response.json().catch(() => ({}));
+      // OpenAI-style APIs send { error: { message } }, Hugging Face { error: '...' }
+      const detail = body.error?.message || (typeof body.error === 'string' && body.error);
+      const error = new Error(`${label} API error: ${detail || response.statusText}`);
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      return error;
+    }
+
     /**
      * Call Groq API (Recommended - Fast & Free)
      */
-    async callGroq(prompt) {
-      const model =
-        this.settings.questionDiversity === 'low' ? MODELS.groq.fast : MODELS.groq.smart;
+    async callGroq(prompt, signal) {
+      return this.callChatCompletions(API_ENDPOINTS.groq, this.getModelName(), prompt, signal);
+    }
+
+    /**
+     * Call an OpenAI-compatible server (llama.cpp, Ollama, vLLM, ...) at the
+     * configured base URL, e.g. http://localhost:8080/v1. The API key is
+     * optional, and the model is left to the server when none is set.
+     */
+    async callOpenAICompatible(prompt, signal) {
+      const url = `${this.baseUrl}/chat/completions`;
+      return this.callChatCompletions(url, this.model || undefined, prompt, signal);
+    }
+
+    /**
+     * POST an OpenAI-style chat completion request and return the reply text
+     */
+    async callChatCompletions(url, model, prompt, signal) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
 
-      const response = await fetch(API_ENDPOINTS.groq, {
+      const response = await fetch(url, {
         method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
+        headers,
+        signal,
         body: JSON.stringify({
           model: model,
           messages: [
@@ -157,8 +886,7 @@ Return ONLY the JSON array, nothing else:`;
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Groq API error: ${error.error?.message || response.statusText}`);
+        throw await this.responseError(response);
       }
 
       const data = await response.json();
@@ -168,11 +896,12 @@ Return ONLY the JSON array, nothing else:`;
     /**
      * Call Google Gemini API
      */
-    async callGemini(prompt) {
+    async callGemini(prompt, signal) {
       const url = `${API_ENDPOINTS.gemini}?key=${this.apiKey}`;
 
       const response = await fetch(url, {
         method: 'POST',
+        signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -194,7 +923,7 @@ Return ONLY the JSON array, nothing else:`;
       });
 
       if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.statusText}`);
+        throw await this.responseError(response);
       }
 
       const data = await response.json();
@@ -204,9 +933,10 @@ Return ONLY the JSON array, nothing else:`;
     /**
      * Call Hugging Face API
      */
-    async callHuggingFace(prompt) {
+    async callHuggingFace(prompt, signal) {
       const response = await fetch(API_ENDPOINTS.huggingface, {
         method: 'POST',
+        signal,
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
@@ -222,7 +952,7 @@ Return ONLY the JSON array, nothing else:`;
       });
 
       if (!response.ok) {
-        throw new Error(`HuggingFace API error: ${response.statusText}`);
+        throw await this.responseError(response);
       }
 
       const data = await response.json();
@@ -230,32 +960,15 @@ Return ONLY the JSON array, nothing else:`;
     }
 
     /**
-     * Parse AI response and convert to flashcard format
+     * Parse AI response and convert to flashcard format. Cards that break
+     * the schema are left out and reported with the reason.
+     * @returns {{cards: Array, rejected: Array<{question: string, reason: string}>}}
+     * @throws {Error} If the reply holds no JSON that can be recovered
      */
     parseResponse(responseText, section) {
+      let items;
       try {
-        // Try to extract JSON from response (in case AI adds extra text)
-        const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-        if (!jsonMatch) {
-          throw new Error('No JSON array found in AI response');
-        }
-
-        const cards = JSON.parse(jsonMatch[0]);
-
-        return cards
-          .filter(card => card.question && card.answer)
-          .map(card => ({
-            question: card.question.trim(),
-            answer: card.answer.trim(),
-            source: 'ai',
-            type: card.type || 'general',
-            difficulty: card.difficulty || 'medium',
-            aiProvider: this.provider,
-            level: section.level || 2,
-            confidence: 0,
-            reviewCount: 0,
-            correctCount: 0,
-          }));
+        items = parseJsonArray(responseText);
       } catch (e) {
         console.error('Failed to parse AI response:', e);
         console.error('Response was:', responseText);
@@ -263,6 +976,66 @@ Return ONLY the JSON array, nothing else:`;
           `Failed to parse AI response: ${e.message}. The AI may have returned invalid JSON.`
         );
       }
+
+      const cards = [];
+      const rejected = [];
+      items.forEach(item => {
+        const { card, reason } = validateCard(item);
+        if (!card) {
+          const question = item && typeof item.question === 'string' ? item.question.trim() : '';
+          rejected.push({ question, reason });
+          return;
+        }
+        cards.push({
+          ...card,
+          source: 'ai',
+          aiProvider: this.provider,
+          level: section.level || 2,
+          headingPath: section.path || (section.heading ? [section.heading] : []),
+          confidence: 0,
+          reviewCount: 0,
+          correctCount: 0,
+        });
+      });
+
+      if (rejected.length > 0) {
+        console.warn(`Rejected ${rejected.length} AI flashcards:`, rejected);
+      }
+      return { cards, rejected };
+    }
+
+    /**
+     * Generate wrong answers for multiple-choice questions in one request
+     * @param {Array<{question: string, answer: string}>} items - Questions with their correct answers
+     * @param {number} count - Distractors wanted per question
+     * @returns {Promise<Array<Array<string>>>} Distractors for each item, in the same order
+     */
+    async generateDistractors(items, count) {
+      this.assertConfigured();
+
+      const list = items
+        .map((item, i) => `${i + 1}. QUESTION: ${item.question}\n   CORRECT ANSWER: ${item.answer}`)
+        .join('\n\n');
+
+      const prompt = `You are writing multiple-choice questions for a software engineering exam.
+
+For each question below, write exactly ${count} plausible but clearly wrong answers (distractors).
+Match the length, style and level of detail of the correct answer, and reflect common misconceptions.
+Never restate or paraphrase the correct answer.
+
+${list}
+
+Return ONLY a JSON array with one array of ${count} strings per question, in the same order:
+[["wrong 1", "wrong 2", "wrong 3"], ["wrong 1", "wrong 2", "wrong 3"]]`;
+
+      const response = await this.callAI(prompt);
+      const distractors = parseJsonArray(response);
+      return items.map((item, i) =>
+        (Array.isArray(distractors[i]) ? distractors[i] : [])
+          .filter(text => typeof text === 'string' && text.trim())
+          .map(text => text.trim())
+          .slice(0, count)
+      );
     }
 
     /**
@@ -273,10 +1046,16 @@ Return ONLY the JSON array, nothing else:`;
 
       try {
         const response = await this.callAI(testPrompt);
-        const cards = this.parseResponse(response, { level: 2 });
+        const { cards, rejected } = this.parseResponse(response, { level: 2 });
+        if (cards.length === 0 && rejected.length > 0) {
+          return {
+            success: false,
+            message: `Connected, but the sample card was rejected: ${rejected[0].reason}`,
+          };
+        }
         return {
           success: true,
-          message: `Successfully connected to ${this.provider}`,
+          message: `Successfully connected to ${PROVIDER_LABELS[this.provider] || this.provider}`,
           sampleCard: cards[0],
         };
       } catch (error) {
@@ -288,5 +1067,7 @@ Return ONLY the JSON array, nothing else:`;
     }
   }
 
+  AIFlashcardGenerator.PROMPT_PLACEHOLDERS = PROMPT_PLACEHOLDERS;
+
   window.AIFlashcardGenerator = AIFlashcardGenerator;
 })();
@@ -4,9 +4,9 @@
  * Build Script for Study Guide
  *
  * Generates final HTML files from:
- * - pages.config.js (page definitions)
+ * - markdown source files (content and frontmatter metadata)
+ * - pages.config.js (site settings and per-page overrides)
  * - template.html (shared structure)
- * - markdown source files (content)
  */
 
 const fs = require('fs');
@@ -14,8 +14,24 @@ const path = require('path');
 const { marked } = require('marked');
 const { markedHighlight } = require('marked-highlight');
 const hljs = require('highlight.js');
+const { parseFrontmatter } = require('./frontmatter.js');
 
-const config = require('./pages.config.js');
+const CONFIG_PATH = require.resolve('./pages.config.js');
+const WATCH_DEBOUNCE_MS = 100;
+const CHAPTER_PATTERN = /^(\d+)-.+\.md$/;
+
+let config = require(CONFIG_PATH);
+let pages = [];
+let includeDrafts = false;
+// Where generated pages go when not config.outputDir (see main)
+let outputOverride = null;
+
+// Per-page figures collected while building, used by the landing page
+const pageStats = new Map();
+
+// Heading sections per page, written out as search-index.json
+const searchSections = new Map();
+const SEARCH_INDEX_FILE = 'search-index.json';
 
 function slugify(text) {
   return text
@@ -51,10 +67,101 @@ marked.setOptions({
   mangle: false,
 });
 
-const template = fs.readFileSync(path.join(config.outputDir, 'template.html'), 'utf8');
+function loadTemplate() {
+  return fs.readFileSync(path.join(config.outputDir, 'template.html'), 'utf8');
+}
+
+function getOutputDir() {
+  return outputOverride || config.outputDir;
+}
+
+let template = loadTemplate();
+
+function toList(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function readChapterMeta(filename) {
+  const source = fs.readFileSync(path.join(config.sourceDir, filename), 'utf8');
+  const { data, body } = parseFrontmatter(source, filename);
+  const titleMatch = body.match(/^#\s+(.+)$/m);
+  const basename = filename.replace(/\.md$/, '');
+
+  return {
+    id: data.id || basename.replace(/^\d+-/, ''),
+    title: data.title || (titleMatch ? titleMatch[1].trim() : basename),
+    source: filename,
+    file: `${basename}.html`,
+    description: data.description || '',
+    number:
+      data.order !== undefined && data.order !== null
+        ? data.order
+        : Number(filename.match(CHAPTER_PATTERN)[1]),
+    tags: toList(data.tags),
+    prerequisites: toList(data.prerequisites),
+    draft: data.draft === true,
+  };
+}
+
+function findConflict(list, key) {
+  const seen = new Map();
+  for (const page of list) {
+    const value = page[key];
+    if (seen.has(value)) {
+      return { value, first: seen.get(value), second: page };
+    }
+    seen.set(value, page);
+  }
+  return null;
+}
+
+/**
+ * Discovers `NN-*.md` chapters in sourceDir, reads their frontmatter and
+ * applies the matching pages.config.js entry (by `source`) on top.
+ * @returns {Array} Pages sorted by number, drafts removed unless requested
+ */
+function loadPages() {
+  const discovered = fs
+    .readdirSync(config.sourceDir)
+    .filter(filename => CHAPTER_PATTERN.test(filename))
+    .map(readChapterMeta);
+
+  const overrides = config.pages || [];
+  const merged = discovered.map(page => {
+    const override = overrides.find(o => o.source === page.source);
+    return override ? { ...page, ...override } : page;
+  });
+
+  // Config entries without a matching markdown file are kept so the build
+  // still reports them as missing sources
+  overrides
+    .filter(o => !discovered.some(page => page.source === o.source))
+    .forEach(o => merged.push({ tags: [], prerequisites: [], draft: false, ...o }));
+
+  for (const key of ['id', 'number']) {
+    const conflict = findConflict(merged, key);
+    if (conflict) {
+      throw new Error(
+        `Conflicting page ${key} "${conflict.value}" in ${conflict.first.source} and ${conflict.second.source}. ` +
+          `Set a unique \`${key === 'number' ? 'order' : 'id'}\` in the frontmatter or in pages.config.js.`
+      );
+    }
+  }
+
+  merged.forEach(page => {
+    page.prerequisites.forEach(id => {
+      if (!merged.some(p => p.id === id)) {
+        console.log(`Warning: Unknown prerequisite "${id}" in ${page.source}`);
+      }
+    });
+  });
+
+  return merged.filter(page => includeDrafts || !page.draft).sort((a, b) => a.number - b.number);
+}
 
 function generateNavHTML(currentFile) {
-  return config.pages
+  return pages
     .map(page => {
       const isActive = page.file === currentFile;
       const activeClass = isActive ? ' class="active"' : '';
@@ -70,7 +177,7 @@ function calculateReadingTime(markdown) {
   return minutes;
 }
 
-function generateToC(markdown) {
+function extractHeadings(markdown) {
   const headings = [];
   const lines = markdown.split('\n');
 
@@ -84,6 +191,93 @@ function generateToC(markdown) {
     }
   });
 
+  return headings;
+}
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(\S.*?)\*/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
+// Prose loses its markdown syntax; fenced code is kept verbatim so
+// identifiers like __proto__ stay searchable
+function toPlainText(markdown) {
+  let inFence = false;
+
+  return markdown
+    .split('\n')
+    .map(line => {
+      if (/^\s*```/.test(line)) {
+        inFence = !inFence;
+        return '';
+      }
+      if (inFence) return line;
+
+      return stripInlineMarkdown(
+        line
+          .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+          .replace(/^\s*>\s?/, '')
+          .replace(/^\|?[\s:|-]+\|?$/, '')
+          .replace(/\|/g, ' ')
+      );
+    })
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits a chapter into one entry per h2-h4 heading with the plain text up to
+ * the next heading. Fenced code is kept as text but never read as headings.
+ */
+function extractSearchSections(markdown) {
+  const sections = [];
+  const headingPath = [];
+  let current = null;
+  let inFence = false;
+
+  markdown.split('\n').forEach(line => {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(/^(#{1,4})\s+(.+)$/);
+    if (!match) {
+      if (current) current.lines.push(line);
+      return;
+    }
+
+    const level = match[1].length;
+    const heading = stripInlineMarkdown(match[2]).trim();
+    headingPath.length = level - 1;
+    headingPath[level - 1] = heading;
+
+    current = null;
+    if (level >= 2 && slugify(match[2]) !== 'table-of-contents') {
+      current = {
+        id: slugify(match[2]),
+        level,
+        path: headingPath.slice(1).filter(Boolean),
+        lines: [],
+      };
+      sections.push(current);
+    }
+  });
+
+  return sections.map(({ lines, ...rest }) => {
+    const section = { ...rest, text: toPlainText(lines.join('\n')) };
+    if (lines.some(line => /^\s*```/.test(line))) {
+      section.code = true;
+    }
+    return section;
+  });
+}
+
+function generateToC(headings) {
   if (headings.length === 0) return '';
 
   const tocHTML = headings
@@ -104,7 +298,7 @@ function generateToC(markdown) {
 }
 
 function getNavigation(currentFile) {
-  const contentPages = config.pages.filter(p => !p.isHome);
+  const contentPages = pages.filter(p => !p.isHome);
   const currentIndex = contentPages.findIndex(p => p.file === currentFile);
 
   const prev = currentIndex > 0 ? contentPages[currentIndex - 1] : null;
@@ -160,28 +354,62 @@ function generateHTML(title, content, currentFile, readingTime = null) {
   return html;
 }
 
+function generatePageMeta(page, readingTime) {
+  let html = `
+        <div class="page-meta">
+            <span class="reading-time"><i class="far fa-clock"></i> ${readingTime} min read</span>`;
+
+  if (page.draft) {
+    html += `
+            <span class="page-draft">Draft</span>`;
+  }
+
+  const prerequisites = (page.prerequisites || [])
+    .map(id => pages.find(p => p.id === id))
+    .filter(Boolean)
+    .map(p => `<a href="${p.file}">${p.title}</a>`);
+
+  if (prerequisites.length > 0) {
+    html += `
+            <span class="page-prerequisites"><i class="fas fa-route"></i> Read first: ${prerequisites.join(', ')}</span>`;
+  }
+
+  if (page.tags && page.tags.length > 0) {
+    html += `
+            <span class="page-tags">${page.tags.map(tag => `<span class="page-tag">${tag}</span>`).join('')}</span>`;
+  }
+
+  html += `
+        </div>
+    `;
+  return html;
+}
+
 function processPage(page) {
   const sourcePath = path.join(config.sourceDir, page.source);
-  const outputPath = path.join(config.outputDir, page.file);
+  const outputPath = path.join(getOutputDir(), page.file);
 
   if (!fs.existsSync(sourcePath)) {
     console.log(`Warning: Source file not found: ${sourcePath}`);
-    return;
+    return false;
   }
 
-  const markdown = fs.readFileSync(sourcePath, 'utf8');
+  const { body: markdown } = parseFrontmatter(fs.readFileSync(sourcePath, 'utf8'), page.source);
 
   const readingTime = calculateReadingTime(markdown);
 
-  const toc = generateToC(markdown);
+  const headings = extractHeadings(markdown);
+  const toc = generateToC(headings);
+
+  searchSections.set(page.file, extractSearchSections(markdown));
+  pageStats.set(page.file, {
+    readingTime,
+    headingCount: headings.filter(h => h.id !== 'table-of-contents').length,
+  });
 
   let htmlContent = marked.parse(markdown);
 
-  const meta = `
-        <div class="page-meta">
-            <span class="reading-time"><i class="far fa-clock"></i> ${readingTime} min read</span>
-        </div>
-    `;
+  const meta = generatePageMeta(page, readingTime);
 
   if (toc) {
     htmlContent = toc + meta + htmlContent;
@@ -211,69 +439,287 @@ function processPage(page) {
   const html = generateHTML(page.title, htmlContent, page.file, readingTime);
 
   fs.writeFileSync(outputPath, html, 'utf8');
-  console.log(`Generated: ${page.file} (from ${page.source})`);
+  return true;
 }
 
-function generateIndexRedirect() {
-  const firstPage = config.pages[0];
-  const indexHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <meta http-equiv="refresh" content="0; url=${firstPage.file}">
-  <title>Redirecting...</title>
-  <style>
-    body {
-      margin: 0;
-      padding: 0;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      height: 100vh;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    }
-    .redirect-message {
-      text-align: center;
-      color: white;
-      font-size: 1.2rem;
-    }
-    .redirect-message a {
-      color: white;
-      text-decoration: underline;
+/**
+ * Builds the given pages one by one, timing each. A page that throws is
+ * reported and skipped so the remaining pages still get generated.
+ */
+function buildPages(pages) {
+  return pages.map(page => {
+    const start = Date.now();
+    try {
+      const generated = processPage(page);
+      const ms = Date.now() - start;
+      if (generated) {
+        console.log(`Generated: ${page.file} (from ${page.source}) in ${ms}ms`);
+      }
+      return { page, generated, ms };
+    } catch (error) {
+      const ms = Date.now() - start;
+      console.error(`Error: Failed to build ${page.file} (from ${page.source}): ${error.message}`);
+      return { page, generated: false, ms, error };
     }
-  </style>
-</head>
-<body>
-  <div class="redirect-message">
-    <p>Redirecting to the study guide...</p>
-    <p><a href="${firstPage.file}">Click here if you are not redirected automatically</a></p>
-  </div>
-  <script>
-    window.location.href = '${firstPage.file}';
-  </script>
-</body>
-</html>`;
-
-  const indexPath = path.join(config.outputDir, 'index.html');
-  fs.writeFileSync(indexPath, indexHTML, 'utf8');
-  console.log(`Generated: index.html (redirects to ${firstPage.file})`);
+  });
 }
 
-function main() {
-  console.log('Building study guide from markdown sources...\n');
+function generateChapterCard(page) {
+  const stats = pageStats.get(page.file) || { readingTime: 0, headingCount: 0 };
+  const topicId = page.file.replace('.html', '');
+
+  return `
+            <a href="${page.file}" class="chapter-card" data-progress-page="${topicId}">
+                <div class="chapter-card-header">
+                    <span class="chapter-number">${page.number}</span>
+                    <span class="chapter-status" data-progress-status></span>
+                </div>
+                <h2>${page.title}</h2>
+                <p>${page.description}</p>
+                <div class="chapter-card-meta">
+                    <span><i class="far fa-clock"></i> ${stats.readingTime} min read</span>
+                    <span><i class="fas fa-list-ul"></i> ${stats.headingCount} sections</span>
+                    <span data-flashcards-topic="${topicId}"><i class="fas fa-layer-group"></i> <span data-flashcard-count>0</span> cards</span>
+                    <span class="chapter-due" data-flashcards-due="${topicId}" hidden><i class="fas fa-clock"></i> <span data-due-count>0</span> due</span>
+                </div>
+            </a>`;
+}
+
+/**
+ * Landing page: hero from `site.hero`, the learner's custom decks and a card
+ * per chapter. Progress, flashcard figures and decks are filled in
+ * client-side by progress.js and flashcards-ui.js through the data-* hooks.
+ */
+function generateIndexPage() {
+  const firstPage = pages[0];
+  if (!firstPage) return;
+
+  const hero = config.site.hero || {};
+
+  const content = `
+        <section class="home-hero">
+            <p class="home-subtitle">${config.site.subtitle || ''}</p>
+            <h1>${hero.title || config.site.title}</h1>
+            <p class="home-description">${hero.description || ''}</p>
+            <a href="${firstPage.file}" class="home-start-btn">
+                Start with ${firstPage.title} <i class="fas fa-arrow-right"></i>
+            </a>
+            <a href="flashcard-today.html" class="home-start-btn home-today-btn" data-flashcards-today>
+                <i class="fas fa-calendar-day"></i> Today's review (<span data-due-count>0</span> due)
+            </a>
+        </section>
+
+        <section class="home-decks" data-custom-decks hidden>
+            <h2><i class="fas fa-filter"></i> Custom Decks</h2>
+            <div class="home-deck-list" data-custom-deck-list></div>
+        </section>
+
+        <section class="home-chapters">${pages.map(generateChapterCard).join('')}
+        </section>
+    `;
+
+  const html = generateHTML(hero.title || config.site.title, content, 'index.html');
 
-  let successCount = 0;
+  fs.writeFileSync(path.join(getOutputDir(), 'index.html'), html, 'utf8');
+  console.log('Generated: index.html (landing page)');
+}
 
-  config.pages.forEach(page => {
-    processPage(page);
-    successCount++;
+/**
+ * Writes the section index consumed by search.js. Pages are referenced by
+ * position to keep the file compact.
+ */
+function generateSearchIndex() {
+  const index = {
+    version: 2,
+    pages: pages.map(page => ({ id: page.id, file: page.file, title: page.title })),
+    sections: [],
+  };
+
+  pages.forEach((page, pageIndex) => {
+    (searchSections.get(page.file) || []).forEach(section => {
+      index.sections.push({ p: pageIndex, ...section });
+    });
   });
 
-  generateIndexRedirect();
+  fs.writeFileSync(path.join(getOutputDir(), SEARCH_INDEX_FILE), JSON.stringify(index), 'utf8');
+  console.log(`Generated: ${SEARCH_INDEX_FILE} (${index.sections.length} sections)`);
+}
+
+/**
+ * Full build of every page plus index.html.
+ * @param {object} [options]
+ * @param {boolean} [options.drafts] - Include pages marked `draft: true`
+ * @param {string} [options.outputDir] - Write pages, index.html and the search
+ *   index here instead of config.outputDir, e.g. to keep drafts out of docs/
+ * @returns {Array|null} Per-page results, or null when the page list is invalid
+ */
+function main({ drafts = false, outputDir = null } = {}) {
+  console.log('Building study guide from markdown sources...\n');
+
+  includeDrafts = drafts;
+  outputOverride = outputDir;
+
+  try {
+    pages = loadPages();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return null;
+  }
+
+  const results = buildPages(pages);
+  const successCount = results.filter(r => r.generated).length;
+  const failed = results.filter(r => r.error);
+
+  generateIndexPage();
+  generateSearchIndex();
 
   console.log(`\nBuild complete! Generated ${successCount} pages`);
+
+  if (failed.length > 0) {
+    console.error(`${failed.length} page(s) failed to build`);
+  }
+
+  return results;
+}
+
+/**
+ * Re-reads pages.config.js. On a syntax error the previous config is kept so
+ * the watcher keeps running until the file is fixed.
+ */
+function reloadConfig() {
+  delete require.cache[CONFIG_PATH];
+  try {
+    config = require(CONFIG_PATH);
+    return true;
+  } catch (error) {
+    console.error(`Error: Could not load pages.config.js: ${error.message}`);
+    return false;
+  }
+}
+
+function reloadTemplate() {
+  try {
+    template = loadTemplate();
+    return true;
+  } catch (error) {
+    console.error(`Error: Could not load template.html: ${error.message}`);
+    return false;
+  }
 }
 
-main();
+/**
+ * Incremental rebuild for a batch of changed files. Markdown edits only touch
+ * their own page unless they change chapter metadata; template, config or
+ * metadata edits affect the nav of every page, so those trigger a full rebuild.
+ */
+function rebuild(changes) {
+  const start = Date.now();
+
+  if (changes.config && !reloadConfig()) return [];
+  if (changes.template && !reloadTemplate()) return [];
+
+  const previous = JSON.stringify(pages);
+  try {
+    pages = loadPages();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return [];
+  }
+  changes.pages = JSON.stringify(pages) !== previous;
+
+  const fullRebuild = changes.config || changes.template || changes.pages;
+  const targets = fullRebuild ? pages : pages.filter(page => changes.sources.has(page.source));
+
+  if (targets.length === 0) return [];
+
+  const results = buildPages(targets);
+
+  // Reading time and section counts on the landing page follow every edit
+  generateIndexPage();
+  generateSearchIndex();
+
+  const failed = results.filter(r => r.error).length;
+  const summary = failed > 0 ? `, ${failed} failed` : '';
+  console.log(`Rebuilt ${results.length} page(s) in ${Date.now() - start}ms${summary}\n`);
+
+  return results;
+}
+
+/**
+ * Builds everything once, then rebuilds on change.
+ * @param {object} [options]
+ * @param {boolean} [options.drafts] - Include pages marked `draft: true`
+ * @param {string} [options.outputDir] - As for main
+ * @param {function} [options.onRebuild] - Called with (results, changes) after each rebuild;
+ *   index.html is regenerated on every rebuild
+ * @returns {function} Stops watching
+ */
+function watch({ drafts = false, outputDir = null, onRebuild } = {}) {
+  main({ drafts, outputDir });
+
+  let changes = { config: false, template: false, sources: new Set() };
+  let timer = null;
+
+  function schedule(update) {
+    update(changes);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = changes;
+      changes = { config: false, template: false, sources: new Set() };
+      const results = rebuild(batch);
+      if (onRebuild && results.length > 0) {
+        onRebuild(results, batch);
+      }
+    }, WATCH_DEBOUNCE_MS);
+  }
+
+  // Directories are watched instead of files: editors that save by replacing
+  // the file would otherwise detach a per-file watcher after the first write.
+  const watchers = [
+    fs.watch(config.sourceDir, (_event, filename) => {
+      if (filename && filename.endsWith('.md')) {
+        console.log(`Changed: ${filename}`);
+        schedule(c => c.sources.add(filename));
+      }
+    }),
+
+    fs.watch(config.outputDir, (_event, filename) => {
+      if (filename === 'template.html') {
+        console.log(`Changed: ${filename}`);
+        schedule(c => (c.template = true));
+      }
+    }),
+
+    fs.watch(path.dirname(CONFIG_PATH), (_event, filename) => {
+      if (filename === path.basename(CONFIG_PATH)) {
+        console.log(`Changed: ${filename}`);
+        schedule(c => (c.config = true));
+      }
+    }),
+  ];
+
+  console.log('\nWatching for changes... (Ctrl+C to stop)\n');
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(w => w.close());
+  };
+}
+
+module.exports = {
+  build: main,
+  watch,
+};
+
+if (require.main === module) {
+  const drafts = process.argv.includes('--drafts');
+
+  if (process.argv.includes('--watch')) {
+    watch({ drafts });
+  } else {
+    const results = main({ drafts });
+    if (!results || results.some(r => r.error)) {
+      process.exitCode = 1;
+    }
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Cloze Deletions
+ * Parses note text written with `{{c1::answer}}` or `{{c1::answer::hint}}`
+ * deletions. Each distinct cN in a note becomes one sibling card: on card N
+ * the cN deletions are hidden and every other deletion reads as plain text.
+ *
+ * Rendering returns markdown, so the result goes through the same renderer as
+ * ordinary cards. With `{ html: true }` the blank and the revealed answer are
+ * wrapped in spans for highlighting.
+ */
+
+(function () {
+  'use strict';
+
+  const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+  const BLANK = '[...]';
+
+  function eachDeletion(text, callback) {
+    return (text || '').replace(CLOZE_PATTERN, (match, index, content, hint) =>
+      callback(Number(index), content, hint)
+    );
+  }
+
+  /**
+   * Cloze numbers used in the text, ascending and without repeats.
+   * @param {string} text
+   * @returns {number[]}
+   */
+  function getIndexes(text) {
+    const indexes = new Set();
+    eachDeletion(text, index => indexes.add(index));
+    return Array.from(indexes).sort((a, b) => a - b);
+  }
+
+  function hasCloze(text) {
+    return getIndexes(text).length > 0;
+  }
+
+  /**
+   * Front of card `index`: its deletions become a blank (showing the hint if
+   * there is one), the rest are filled in.
+   */
+  function renderFront(text, index, options = {}) {
+    return eachDeletion(text, (n, content, hint) => {
+      if (n !== index) return content;
+      const blank = hint ? `[${hint}]` : BLANK;
+      return options.html ? `<span class="cloze-blank">${blank}</span>` : blank;
+    });
+  }
+
+  /**
+   * Back of card `index`: the full text, with the answer highlighted.
+   */
+  function renderBack(text, index, options = {}) {
+    return eachDeletion(text, (n, content) => {
+      if (n !== index || !options.html) return content;
+      return `<mark class="cloze-answer">${content}</mark>`;
+    });
+  }
+
+  /**
+   * Just the hidden text of card `index`, e.g. for previews and search.
+   */
+  function getAnswer(text, index) {
+    const answers = [];
+    eachDeletion(text, (n, content) => {
+      if (n === index) answers.push(content.trim());
+    });
+    return answers.join(', ');
+  }
+
+  /**
+   * One card per cloze number. `question` and `answer` are plain-text
+   * stand-ins so search, previews and duplicate checks work unchanged; study
+   * renders from `clozeText` instead.
+   * @param {string} text - Note text with {{cN::...}} deletions
+   * @param {string} [extra] - Optional notes shown on the back of every sibling
+   * @returns {Array<{clozeIndex: number, question: string, answer: string}>}
+   */
+  function buildCards(text, extra = '') {
+    return getIndexes(text).map(index => {
+      const answer = getAnswer(text, index);
+      return {
+        clozeIndex: index,
+        question: renderFront(text, index),
+        answer: extra ? `${answer}\n\n${extra}` : answer,
+      };
+    });
+  }
+
+  window.Cloze = {
+    getIndexes,
+    hasCloze,
+    renderFront,
+    renderBack,
+    getAnswer,
+    buildCards,
+  };
+})();
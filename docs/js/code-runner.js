@@ -0,0 +1,234 @@
+/**
+ * Code Runner
+ * Runs a JavaScript snippet in a throwaway Web Worker and collects what it
+ * logs, so "predict the output" cards can store the real output. The worker
+ * has no DOM, and network and storage APIs are removed before the snippet
+ * loads. Timers run on a virtual clock, in the order a browser would fire
+ * them but without waiting, and microtasks drain between them as usual.
+ *
+ *   run(code, options) -> Promise<{ output, errors, timedOut }>
+ *     output   console lines, formatted roughly like the browser console
+ *     errors   uncaught errors and unhandled rejections
+ *     timedOut true if the snippet was still running at the deadline
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULT_TIMEOUT_MS = 3000;
+
+  /**
+   * Worker body. Serialized with toString(), so it must not reference
+   * anything outside itself.
+   */
+  function workerMain() {
+    const MAX_TIMER_RUNS = 1000;
+    const realSetTimeout = self.setTimeout.bind(self);
+    const loadScript = self.importScripts.bind(self);
+
+    // Snippets must not reach the network or the site's stored data
+    [
+      'fetch',
+      'XMLHttpRequest',
+      'WebSocket',
+      'EventSource',
+      'importScripts',
+      'indexedDB',
+      'caches',
+      'BroadcastChannel',
+    ].forEach(api => {
+      Object.defineProperty(self, api, { value: undefined, writable: true, configurable: true });
+    });
+    // Read-only in workers, but `var name = ...` examples expect a writable global
+    Object.defineProperty(self, 'name', { value: '', writable: true, configurable: true });
+
+    function format(value, nested) {
+      if (value === self) return 'Window';
+      if (typeof value === 'string') return nested ? `'${value}'` : value;
+      if (typeof value === 'function') return `[Function: ${value.name || '(anonymous)'}]`;
+      if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      if (value instanceof Promise) return 'Promise {}';
+      if (Array.isArray(value)) {
+        return nested > 2
+          ? '[Array]'
+          : `[${value.map(v => format(v, (nested || 0) + 1)).join(', ')}]`;
+      }
+      if (value && typeof value === 'object') {
+        if (nested > 2) return '[Object]';
+        const entries = Object.keys(value).map(
+          key => `${key}: ${format(value[key], (nested || 0) + 1)}`
+        );
+        const name =
+          value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+        return entries.length ? `${name}{ ${entries.join(', ')} }` : `${name}{}`;
+      }
+      return String(value);
+    }
+
+    function log(...args) {
+      self.postMessage({ type: 'log', text: args.map(arg => format(arg, 0)).join(' ') });
+    }
+
+    function reportError(error) {
+      const text = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+      self.postMessage({ type: 'error', text: `Uncaught ${text}` });
+    }
+
+    self.console = { log, info: log, warn: log, error: log, debug: log, table: log, dir: log };
+    self.addEventListener('unhandledrejection', e => {
+      e.preventDefault();
+      reportError(e.reason);
+    });
+
+    // Virtual clock: the earliest timer always fires next, however long its delay
+    const timers = new Map();
+    let clock = 0;
+    let sequence = 0;
+    let nextId = 1;
+    let runs = 0;
+    let tickQueued = false;
+
+    function addTimer(callback, delay, args, repeat) {
+      const id = nextId++;
+      const ms = Math.max(0, Number(delay) || 0);
+      timers.set(id, { callback, args, ms, repeat, at: clock + ms, order: sequence++ });
+      queueTick();
+      return id;
+    }
+
+    function clearTimer(id) {
+      timers.delete(id);
+    }
+
+    function queueTick() {
+      if (tickQueued) return;
+      tickQueued = true;
+      realSetTimeout(tick, 0);
+    }
+
+    function tick() {
+      tickQueued = false;
+
+      if (timers.size === 0) {
+        self.postMessage({ type: 'done' });
+        return;
+      }
+      if (++runs > MAX_TIMER_RUNS) {
+        self.postMessage({ type: 'error', text: 'Stopped: too many timers' });
+        self.postMessage({ type: 'done' });
+        return;
+      }
+
+      let nextTimerId = null;
+      let next = null;
+      timers.forEach((timer, id) => {
+        if (!next || timer.at < next.at || (timer.at === next.at && timer.order < next.order)) {
+          next = timer;
+          nextTimerId = id;
+        }
+      });
+
+      clock = next.at;
+      if (next.repeat) {
+        next.at = clock + Math.max(1, next.ms);
+        next.order = sequence++;
+      } else {
+        timers.delete(nextTimerId);
+      }
+
+      try {
+        if (typeof next.callback === 'function') {
+          next.callback(...next.args);
+        }
+      } catch (e) {
+        reportError(e);
+      }
+      queueTick();
+    }
+
+    self.setTimeout = (callback, delay, ...args) => addTimer(callback, delay, args, false);
+    self.setInterval = (callback, delay, ...args) => addTimer(callback, delay, args, true);
+    self.clearTimeout = clearTimer;
+    self.clearInterval = clearTimer;
+
+    self.onmessage = e => {
+      const url = URL.createObjectURL(new Blob([e.data.code], { type: 'text/javascript' }));
+      try {
+        loadScript(url);
+      } catch (err) {
+        reportError(err);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+      queueTick();
+    };
+  }
+
+  let workerUrl = null;
+
+  function getWorkerUrl() {
+    if (!workerUrl) {
+      const source = `(${workerMain.toString()})();`;
+      workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    }
+    return workerUrl;
+  }
+
+  /**
+   * Run a snippet and collect its console output.
+   * @param {string} code - JavaScript source, run as a classic (sloppy) script
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Give up after this long
+   * @returns {Promise<{output: string[], errors: string[], timedOut: boolean}>}
+   */
+  function run(code, options = {}) {
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    return new Promise(resolve => {
+      const result = { output: [], errors: [], timedOut: false };
+      let worker;
+
+      try {
+        worker = new Worker(getWorkerUrl());
+      } catch (e) {
+        result.errors.push(`Could not start worker: ${e.message}`);
+        resolve(result);
+        return;
+      }
+
+      const finish = () => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(result);
+      };
+
+      const timer = setTimeout(() => {
+        result.timedOut = true;
+        finish();
+      }, timeoutMs);
+
+      worker.onmessage = e => {
+        const message = e.data;
+        if (message.type === 'log') {
+          result.output.push(message.text);
+        } else if (message.type === 'error') {
+          result.errors.push(message.text);
+        } else if (message.type === 'done') {
+          finish();
+        }
+      };
+      worker.onerror = e => {
+        e.preventDefault();
+        result.errors.push(e.message || 'Worker error');
+        finish();
+      };
+
+      worker.postMessage({ code });
+    });
+  }
+
+  window.CodeRunner = {
+    run,
+  };
+})();
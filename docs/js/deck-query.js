@@ -0,0 +1,204 @@
+/**
+ * Deck Query
+ * Parses the filter language used by custom decks and tests cards against it.
+ * A query is a list of terms separated by spaces; a card must match all of
+ * them. Prefix a term with `-` to negate it.
+ *
+ *   tag:pitfalls,memory    any of the tags (see Flashcards.getCardTags)
+ *   topic:closures,context any of the topics, by chapter id or part of it
+ *   due:now | today | overdue | N   due now, by the end of today, before
+ *                          today, or within N days
+ *   is:new | due | basic | cloze | output | suspended | buried | leech
+ *   type:code, source:ai   generation type and source
+ *   confidence<3, reviews>=5, interval>30, lapses>2   numeric comparisons
+ *   closure, "lexical scope"   text in the question or answer
+ *
+ * Tags and topics match whole hyphen-separated words, so `tag:pitfalls`
+ * matches `common-issues-and-pitfalls`.
+ */
+
+(function () {
+  'use strict';
+
+  const DAY_MS = 86400000;
+
+  const TERM_PATTERN = /-?"[^"]*"|\S+/g;
+  const FILTER_PATTERN = /^(-?)([a-z]+)(<=|>=|<|>|=|:)(.+)$/i;
+
+  const LIST_FIELDS = ['tag', 'topic', 'type', 'source', 'is', 'due'];
+  const NUMERIC_FIELDS = {
+    confidence: card => card.confidence || 0,
+    reviews: card => card.reviewCount || 0,
+    interval: card => card.interval || 0,
+    lapses: card => card.lapses || 0,
+  };
+  const IS_VALUES = ['new', 'due', 'basic', 'cloze', 'output', 'suspended', 'buried', 'leech'];
+  const DUE_VALUES = ['now', 'today', 'overdue'];
+
+  /**
+   * Turn text into a tag: lowercase words joined by hyphens, without the
+   * numbering that chapter headings use ("3. Accidental Globals").
+   * @param {string} text
+   * @returns {string}
+   */
+  function toTag(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/^\s*\d+[.)]\s*/, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  function matchesWord(value, word) {
+    return `-${value}-`.includes(`-${word}-`);
+  }
+
+  function parseFilter(match) {
+    const [, negate, rawField, op, rawValue] = match;
+    const field = rawField.toLowerCase();
+    const value = rawValue.replace(/^"|"$/g, '').toLowerCase();
+
+    if (NUMERIC_FIELDS[field]) {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`"${rawField}" needs a number, e.g. ${field}<3`);
+      }
+      return { field, op: op === ':' ? '=' : op, value: number, negate: Boolean(negate) };
+    }
+
+    if (!LIST_FIELDS.includes(field)) {
+      throw new Error(`Unknown filter "${rawField}"`);
+    }
+    if (op !== ':') {
+      throw new Error(`"${rawField}" only supports ${field}:value`);
+    }
+
+    const values = value.split(',').filter(Boolean);
+    if (field === 'is') {
+      const unknown = values.find(v => !IS_VALUES.includes(v));
+      if (unknown) {
+        throw new Error(`Unknown is:${unknown}; use ${IS_VALUES.join(', ')}`);
+      }
+    }
+    if (field === 'due') {
+      const unknown = values.find(v => !DUE_VALUES.includes(v) && !/^\d+$/.test(v));
+      if (unknown) {
+        throw new Error(`Unknown due:${unknown}; use ${DUE_VALUES.join(', ')} or a number of days`);
+      }
+    }
+    if (field === 'tag') {
+      return { field, values: values.map(toTag), negate: Boolean(negate) };
+    }
+
+    return { field, values, negate: Boolean(negate) };
+  }
+
+  /**
+   * @param {string} query
+   * @returns {{source: string, terms: Array}} Parsed query
+   * @throws {Error} If a term uses an unknown filter or an invalid value
+   */
+  function parse(query) {
+    const terms = (query.match(TERM_PATTERN) || []).map(term => {
+      const match = term.match(FILTER_PATTERN);
+      if (match && !term.startsWith('"') && !term.startsWith('-"')) {
+        return parseFilter(match);
+      }
+
+      const negate = term.startsWith('-') && term.length > 1;
+      const text = (negate ? term.slice(1) : term).replace(/^"|"$/g, '').toLowerCase();
+      return { field: 'text', values: [text], negate };
+    });
+
+    return { source: query.trim(), terms: terms.filter(t => t.field !== 'text' || t.values[0]) };
+  }
+
+  function endOfDay(now, daysAhead) {
+    const date = new Date(now);
+    date.setHours(23, 59, 59, 999);
+    return new Date(date.getTime() + daysAhead * DAY_MS);
+  }
+
+  function isDueBy(card, value, now) {
+    if (!card.nextReviewDate) return true;
+    const due = new Date(card.nextReviewDate);
+
+    if (value === 'now') return due <= now;
+    if (value === 'today') return due <= endOfDay(now, 0);
+    if (value === 'overdue') {
+      const startOfDay = new Date(now);
+      startOfDay.setHours(0, 0, 0, 0);
+      return due < startOfDay;
+    }
+    return due <= endOfDay(now, Number(value));
+  }
+
+  function compare(actual, op, expected) {
+    switch (op) {
+      case '<':
+        return actual < expected;
+      case '<=':
+        return actual <= expected;
+      case '>':
+        return actual > expected;
+      case '>=':
+        return actual >= expected;
+      default:
+        return actual === expected;
+    }
+  }
+
+  function matchesTerm(card, term, context) {
+    if (NUMERIC_FIELDS[term.field]) {
+      return compare(NUMERIC_FIELDS[term.field](card), term.op, term.value);
+    }
+
+    switch (term.field) {
+      case 'tag':
+        return term.values.some(value => context.tags.some(tag => matchesWord(tag, value)));
+      case 'topic':
+        return term.values.some(value => matchesWord(card.topicId || '', value));
+      case 'due':
+        return term.values.some(value => isDueBy(card, value, context.now));
+      case 'type':
+        return term.values.includes((card.type || '').toLowerCase());
+      case 'source':
+        return term.values.includes((card.source || '').toLowerCase());
+      case 'is':
+        return term.values.some(value => {
+          if (value === 'new') return !card.reviewCount;
+          if (value === 'due') return isDueBy(card, 'now', context.now);
+          if (value === 'suspended') return Boolean(card.suspended);
+          if (value === 'leech') return Boolean(card.leech);
+          if (value === 'buried') {
+            return Boolean(card.buriedUntil) && new Date(card.buriedUntil) > context.now;
+          }
+          return (card.format || 'basic') === value;
+        });
+      default: {
+        const text = [card.question, card.answer, card.clozeText, card.extra]
+          .filter(Boolean)
+          .join('\n')
+          .toLowerCase();
+        return text.includes(term.values[0]);
+      }
+    }
+  }
+
+  /**
+   * @param {object} card
+   * @param {object} query - Result of parse()
+   * @param {object} context - { tags: the card's tags, now: Date }
+   * @returns {boolean}
+   */
+  function matches(card, query, context) {
+    const ctx = { tags: [], now: new Date(), ...context };
+    return query.terms.every(term => matchesTerm(card, term, ctx) !== term.negate);
+  }
+
+  window.DeckQuery = {
+    parse,
+    matches,
+    toTag,
+  };
+})();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Development Server
+ *
+ * Serves docs/ locally, rebuilds pages through build.js whenever a source
+ * changes, and notifies open pages over Server-Sent Events so they reload.
+ * Pages are built, drafts included, into a temporary directory served ahead
+ * of docs/, so the committed output is never touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { watch } = require('./build.js');
+const config = require('./pages.config.js');
+
+const PORT = Number(process.env.PORT) || 3000;
+const RELOAD_ENDPOINT = '/__livereload';
+const CLIENT_SCRIPT = '<script src="/js/livereload.js"></script>';
+
+// Browser assets are served as-is, so edits only need a reload, not a build.
+const ASSET_DIRS = ['css', 'js'];
+const BUILD_ONLY_FILES = ['build.js', 'dev-server.js', 'frontmatter.js', 'pages.config.js'];
+
+const BUILD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'study-guide-'));
+const SERVED_DIRS = [BUILD_DIR, config.outputDir];
+
+const clients = new Set();
+
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(payload));
+}
+
+function resolveHtmlFile(requestPath) {
+  const relative = requestPath.endsWith('/') ? `${requestPath}index.html` : requestPath;
+  if (!relative.endsWith('.html')) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(relative);
+  } catch (error) {
+    // A malformed escape is no page of ours; fall through to express.static
+    return null;
+  }
+
+  for (const root of SERVED_DIRS) {
+    const filePath = path.join(root, path.normalize(decoded));
+    if (!filePath.startsWith(root + path.sep)) return null;
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+/**
+ * Serves HTML pages with the live reload client appended, so generated pages
+ * never have to reference it themselves.
+ */
+function injectReloadClient(req, res, next) {
+  const filePath = resolveHtmlFile(req.path);
+  if (!filePath) return next();
+
+  const html = fs.readFileSync(filePath, 'utf8');
+  const injected = html.includes('</body>')
+    ? html.replace('</body>', `${CLIENT_SCRIPT}\n</body>`)
+    : html + CLIENT_SCRIPT;
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(injected);
+}
+
+function handleReloadStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 1000\n\n');
+
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+}
+
+function watchAssets() {
+  return ASSET_DIRS.map(dir =>
+    fs.watch(path.join(config.outputDir, dir), (_event, filename) => {
+      if (!filename || BUILD_ONLY_FILES.includes(filename)) return;
+
+      const file = `${dir}/${filename}`;
+      console.log(`Changed: ${file}`);
+      broadcast(dir === 'css' ? 'css' : 'reload', { files: [file] });
+    })
+  );
+}
+
+function start() {
+  const app = express();
+
+  app.get(RELOAD_ENDPOINT, handleReloadStream);
+  app.use(injectReloadClient);
+  SERVED_DIRS.forEach(dir => app.use(express.static(dir)));
+
+  const stopWatching = watch({
+    drafts: true,
+    outputDir: BUILD_DIR,
+    onRebuild(results) {
+      const files = results.filter(r => r.generated).map(r => r.page.file);
+      broadcast('reload', { files: [...files, 'index.html'] });
+    },
+  });
+  const assetWatchers = watchAssets();
+
+  const server = app.listen(PORT, () => {
+    console.log(`Dev server running at http://localhost:${PORT}/`);
+  });
+
+  function shutdown() {
+    stopWatching();
+    assetWatchers.forEach(w => w.close());
+    clients.forEach(res => res.end());
+    server.close(() => process.exit(0));
+  }
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Runs on every way out, crashes included; rmSync since exit handlers can't wait
+process.on('exit', () => fs.rmSync(BUILD_DIR, { recursive: true, force: true }));
+
+start();
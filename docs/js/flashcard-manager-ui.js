@@ -10,6 +10,32 @@
   let currentMarkdown = null;
   let editingCardId = null;
 
+  // Generated cards compared with the deck (see Flashcards.diffGeneratedCards),
+  // kept apart for pattern matching and AI so the toggle can switch between them
+  let generatedDiffs = { patterns: null, ai: null };
+
+  const DIFF_STATUS_LABELS = {
+    new: 'New',
+    changed: 'Changed',
+    duplicate: 'Similar',
+  };
+
+  // Per-section state of AI generation: { section, status, cards, error }
+  let aiSectionResults = [];
+  let aiAbortController = null;
+
+  // Prompt template editor: the template shown and the sections it can preview
+  let editingTemplateId = null;
+  let templatePreviewSections = [];
+
+  const SECTION_STATUS_ICONS = {
+    queued: 'far fa-clock',
+    running: 'fas fa-spinner fa-spin',
+    done: 'fas fa-check',
+    failed: 'fas fa-times',
+    cancelled: 'fas fa-ban',
+  };
+
 
   function init() {
     const urlParams = new URLSearchParams(window.location.search);
@@ -25,6 +51,19 @@
     loadTopicData();
     updateManagerUI();
     initDarkMode();
+
+    const cardId = urlParams.get('card');
+    if (cardId) {
+      revealFlashcard(cardId);
+    }
+  }
+
+  function revealFlashcard(cardId) {
+    const item = Array.from(document.querySelectorAll('.flashcard-item')).find(el => el.dataset.id === cardId);
+    if (!item) return;
+
+    item.classList.add('highlighted');
+    item.scrollIntoView({ block: 'center' });
   }
 
   function loadTopicData() {
@@ -42,11 +81,14 @@
         if (mdElement) {
           currentMarkdown = mdElement.textContent;
         } else {
-          return fetch(`../${currentTopicId}.md`).then(r => r.text());
+          return fetch(`../${currentTopicId}.md`)
+            .then(r => r.text())
+            .then(md => md.replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*\r?\n/, ''));
         }
       })
       .then(md => {
         if (md) currentMarkdown = md;
+        updateStaleReport();
       })
       .catch(err => {
         console.warn('Could not load markdown:', err);
@@ -95,9 +137,32 @@
       addBtn.addEventListener('click', () => openModal(document.getElementById('add-card-modal')));
     }
 
+    const quizBtn = document.getElementById('quiz-btn');
+    if (quizBtn) {
+      quizBtn.addEventListener('click', () => {
+        window.location.href = `flashcard-quiz.html?topic=${currentTopicId}`;
+      });
+    }
+
+    const todayBtn = document.getElementById('today-btn');
+    if (todayBtn) {
+      todayBtn.addEventListener('click', () => {
+        window.location.href = 'flashcard-today.html';
+      });
+    }
+
+    const exportReviewsBtn = document.getElementById('export-reviews-btn');
+    if (exportReviewsBtn) {
+      exportReviewsBtn.addEventListener('click', () => window.Flashcards.exportReviewLog(currentTopicId));
+    }
+
     setupCardListDelegation();
     setupGenerateModal();
     setupAddCardModal();
+    setupSettingsModal();
+    setupDecksModal();
+    setupStaleModal();
+    setupPromptTemplateModal();
   }
 
   function setupCardListDelegation() {
@@ -106,6 +171,21 @@
       list.addEventListener('click', e => {
         const editBtn = e.target.closest('[data-action="edit"]');
         const deleteBtn = e.target.closest('[data-action="delete"]');
+        const suspendBtn = e.target.closest('[data-action="suspend"]');
+        const buryBtn = e.target.closest('[data-action="bury"]');
+
+        if (suspendBtn || buryBtn) {
+          e.stopPropagation();
+          const id = (suspendBtn || buryBtn).dataset.id;
+          const card = window.Flashcards.getFlashcards(currentTopicId).find(c => c.id === id);
+          if (suspendBtn) {
+            window.Flashcards.suspendCard(currentTopicId, id, !card.suspended);
+          } else {
+            window.Flashcards.buryCard(currentTopicId, id, !window.Flashcards.isBuried(card));
+          }
+          updateManagerUI();
+          return;
+        }
 
         if (editBtn) {
           e.stopPropagation();
@@ -136,22 +216,43 @@
     const aiProviderSelect = document.getElementById('ai-provider-select');
     const getApiKeyLink = document.getElementById('get-api-key-link');
 
+    // Closing the modal also stops any AI generation in progress
+    const closeGenerateModal = () => {
+      stopAIGeneration();
+      closeModal(modal);
+    };
+
     if (closeBtn || cancelBtn) {
       [closeBtn, cancelBtn].forEach(btn => {
-        if (btn) btn.addEventListener('click', () => closeModal(modal));
+        if (btn) btn.addEventListener('click', closeGenerateModal);
       });
     }
 
     if (modal) {
       modal.addEventListener('click', e => {
-        if (e.target === modal) closeModal(modal);
+        if (e.target === modal) closeGenerateModal();
       });
     }
 
+    const stopBtn = document.getElementById('ai-stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', stopAIGeneration);
+    }
+
+    const retryBtn = document.getElementById('ai-retry-btn');
+    if (retryBtn) {
+      retryBtn.addEventListener('click', () => generateWithAI({ retryFailed: true }));
+    }
+
     if (confirmBtn) {
       confirmBtn.addEventListener('click', confirmAutoGenerate);
     }
 
+    const previewList = document.getElementById('generate-preview-list');
+    if (previewList) {
+      previewList.addEventListener('change', updateGenerateButton);
+    }
+
     if (aiToggle) {
       aiToggle.addEventListener('change', e => {
         const useAI = e.target.checked;
@@ -159,10 +260,7 @@
           aiSettings.classList.toggle('hidden', !useAI);
           patternStats.classList.toggle('hidden', useAI);
         }
-        const btnText = document.getElementById('generate-btn-text');
-        if (btnText) {
-          btnText.textContent = useAI ? 'Generate with AI' : 'Generate All';
-        }
+        renderGenerateDiff();
         saveAISetting('useAIForGeneration', useAI);
         if (useAI) {
           loadAISettings();
@@ -188,6 +286,7 @@
           huggingface: 'https://huggingface.co/settings/tokens',
         };
         getApiKeyLink.href = links[provider] || '#';
+        updateProviderFields();
       };
       aiProviderSelect.addEventListener('change', () => {
         updateApiKeyLink();
@@ -197,6 +296,8 @@
     }
 
     const aiApiKeyInput = document.getElementById('ai-api-key-input');
+    const aiBaseUrlInput = document.getElementById('ai-base-url-input');
+    const aiModelInput = document.getElementById('ai-model-input');
     const questionsPerSection = document.getElementById('questions-per-section');
     const questionDiversity = document.getElementById('question-diversity');
 
@@ -206,6 +307,44 @@
       });
     }
 
+    if (aiBaseUrlInput) {
+      aiBaseUrlInput.addEventListener('change', () => {
+        saveAISetting('aiBaseUrl', aiBaseUrlInput.value.trim());
+      });
+    }
+
+    if (aiModelInput) {
+      aiModelInput.addEventListener('change', () => {
+        saveAISetting('aiModel', aiModelInput.value.trim());
+      });
+    }
+
+    const requestsPerMinute = document.getElementById('ai-requests-per-minute');
+    const concurrency = document.getElementById('ai-concurrency');
+
+    if (requestsPerMinute) {
+      requestsPerMinute.addEventListener('change', () => {
+        saveAISetting('aiRequestsPerMinute', Math.max(0, parseInt(requestsPerMinute.value) || 0));
+      });
+    }
+
+    if (concurrency) {
+      concurrency.addEventListener('change', () => {
+        saveAISetting('aiConcurrency', Math.max(1, parseInt(concurrency.value) || 1));
+      });
+    }
+
+    const clearTopicCache = document.getElementById('ai-cache-clear-topic');
+    const clearAllCache = document.getElementById('ai-cache-clear-all');
+
+    if (clearTopicCache) {
+      clearTopicCache.addEventListener('click', () => clearAICache(currentTopicId));
+    }
+
+    if (clearAllCache) {
+      clearAllCache.addEventListener('click', () => clearAICache());
+    }
+
     if (questionsPerSection) {
       questionsPerSection.addEventListener('change', () => {
         saveAISetting('questionsPerSection', parseInt(questionsPerSection.value));
@@ -217,12 +356,68 @@
         saveAISetting('questionDiversity', questionDiversity.value);
       });
     }
+
+    const promptTemplateSelect = document.getElementById('prompt-template-select');
+    const editTemplatesLink = document.getElementById('edit-prompt-templates');
+
+    if (promptTemplateSelect) {
+      promptTemplateSelect.addEventListener('change', () => {
+        saveAISetting('aiPromptTemplateId', promptTemplateSelect.value);
+      });
+    }
+
+    if (editTemplatesLink) {
+      editTemplatesLink.addEventListener('click', e => {
+        e.preventDefault();
+        openTemplateEditor();
+      });
+    }
+  }
+
+  function setupPromptTemplateModal() {
+    const modal = document.getElementById('prompt-template-modal');
+    if (!modal) return;
+
+    document.getElementById('prompt-template-close').addEventListener('click', closeTemplateEditor);
+    modal.addEventListener('click', e => {
+      if (e.target === modal) closeTemplateEditor();
+    });
+
+    document
+      .getElementById('template-editor-select')
+      .addEventListener('change', e => selectTemplate(e.target.value));
+    document.getElementById('template-text').addEventListener('input', updateTemplatePreview);
+    document
+      .getElementById('template-preview-section')
+      .addEventListener('change', updateTemplatePreview);
+
+    document.getElementById('template-use-btn').addEventListener('click', useTemplate);
+    document.getElementById('template-save-btn').addEventListener('click', saveTemplate);
+    document.getElementById('template-copy-btn').addEventListener('click', copyTemplate);
+    document.getElementById('template-delete-btn').addEventListener('click', deleteTemplate);
+    document.getElementById('template-export-btn').addEventListener('click', exportTemplates);
+    document.getElementById('template-import-btn').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json';
+      input.onchange = e => {
+        if (e.target.files[0]) {
+          importTemplates(e.target.files[0]);
+        }
+      };
+      input.click();
+    });
   }
 
   function setupAddCardModal() {
     const modal = document.getElementById('add-card-modal');
     const closeBtn = document.getElementById('add-card-close');
     const saveBtn = document.getElementById('save-card-btn');
+    const formatSelect = document.getElementById('card-format');
+
+    if (formatSelect) {
+      formatSelect.addEventListener('change', updateCardFormatFields);
+    }
 
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
@@ -245,6 +440,427 @@
     }
   }
 
+  function setupSettingsModal() {
+    const modal = document.getElementById('settings-modal');
+    const openBtn = document.getElementById('settings-btn');
+    const closeBtn = document.getElementById('settings-close');
+    const saveBtn = document.getElementById('save-settings-btn');
+    const schedulerSelect = document.getElementById('scheduler-select');
+    const retentionInput = document.getElementById('desired-retention');
+
+    if (!modal || !schedulerSelect || !retentionInput) return;
+
+    schedulerSelect.innerHTML = window.Schedulers.list()
+      .map(s => `<option value="${s.id}">${escapeHtml(s.label)}</option>`)
+      .join('');
+
+    schedulerSelect.addEventListener('change', updateRetentionField);
+    retentionInput.addEventListener('input', updateRetentionField);
+
+    const stateFilter = document.getElementById('card-state-filter');
+    if (stateFilter) {
+      stateFilter.addEventListener('change', updateManagerUI);
+    }
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => {
+        const settings = window.Flashcards.getSettings();
+        schedulerSelect.value = settings.scheduler;
+        retentionInput.value = settings.desiredRetention;
+        document.getElementById('leech-threshold').value = settings.leechThreshold;
+        document.getElementById('leech-action').value = settings.leechAction;
+        document.getElementById('bury-siblings').checked = settings.burySiblings;
+        updateRetentionField();
+        openModal(modal);
+      });
+    }
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => closeModal(modal));
+    }
+
+    modal.addEventListener('click', e => {
+      if (e.target === modal) {
+        closeModal(modal);
+      }
+    });
+
+    if (saveBtn) {
+      saveBtn.addEventListener('click', saveReviewSettings);
+    }
+  }
+
+  function updateRetentionField() {
+    const isFsrs = document.getElementById('scheduler-select').value === 'fsrs';
+    const retention = parseFloat(document.getElementById('desired-retention').value);
+
+    document.getElementById('desired-retention-group').style.display = isFsrs ? '' : 'none';
+    document.getElementById('desired-retention-value').textContent = `${Math.round(retention * 100)}%`;
+  }
+
+  function saveReviewSettings() {
+    const scheduler = document.getElementById('scheduler-select').value;
+    const desiredRetention = parseFloat(document.getElementById('desired-retention').value);
+    const leechThreshold = parseInt(document.getElementById('leech-threshold').value, 10);
+
+    if (!(leechThreshold >= 1)) {
+      alert('The leech threshold must be at least 1');
+      return;
+    }
+
+    window.Flashcards.saveSettings({
+      ...window.Flashcards.getSettings(),
+      desiredRetention,
+      leechThreshold,
+      leechAction: document.getElementById('leech-action').value,
+      burySiblings: document.getElementById('bury-siblings').checked,
+    });
+    window.Flashcards.setScheduler(scheduler).then(() => {
+      closeModal(document.getElementById('settings-modal'));
+      updateManagerUI();
+    });
+  }
+
+  function setupDecksModal() {
+    const modal = document.getElementById('decks-modal');
+    const openBtn = document.getElementById('custom-decks-btn');
+    const closeBtn = document.getElementById('decks-close');
+    const saveBtn = document.getElementById('save-deck-btn');
+    const queryInput = document.getElementById('deck-query');
+
+    if (!modal || !queryInput) return;
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => {
+        resetDeckForm();
+        renderCustomDecks();
+        renderTagSuggestions();
+        openModal(modal);
+      });
+    }
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => closeModal(modal));
+    }
+
+    modal.addEventListener('click', e => {
+      if (e.target === modal) {
+        closeModal(modal);
+      }
+    });
+
+    if (saveBtn) {
+      saveBtn.addEventListener('click', saveCustomDeck);
+    }
+
+    queryInput.addEventListener('input', updateDeckQueryResult);
+
+    document.getElementById('custom-deck-list').addEventListener('click', e => {
+      const button = e.target.closest('[data-deck-action]');
+      if (!button) return;
+
+      const deckId = button.dataset.deckId;
+      const action = button.dataset.deckAction;
+
+      if (action === 'study') {
+        studyCustomDeck(deckId);
+      } else if (action === 'edit') {
+        const deck = window.Flashcards.getCustomDeck(deckId);
+        document.getElementById('deck-id').value = deck.id;
+        document.getElementById('deck-name').value = deck.name;
+        queryInput.value = deck.query;
+        updateDeckQueryResult();
+      } else if (action === 'delete' && confirm('Delete this deck? Its cards are kept.')) {
+        window.Flashcards.deleteCustomDeck(deckId);
+        renderCustomDecks();
+      }
+    });
+
+    document.getElementById('tag-suggestions').addEventListener('click', e => {
+      const chip = e.target.closest('[data-tag]');
+      if (!chip) return;
+
+      const term = `tag:${chip.dataset.tag}`;
+      queryInput.value = queryInput.value.trim() ? `${queryInput.value.trim()} ${term}` : term;
+      updateDeckQueryResult();
+      queryInput.focus();
+    });
+  }
+
+  function setupStaleModal() {
+    const modal = document.getElementById('stale-modal');
+    const openBtn = document.getElementById('stale-review-btn');
+    const closeBtn = document.getElementById('stale-close');
+
+    if (!modal) return;
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => {
+        renderStaleCards();
+        openModal(modal);
+      });
+    }
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => closeModal(modal));
+    }
+
+    modal.addEventListener('click', e => {
+      if (e.target === modal) {
+        closeModal(modal);
+      }
+    });
+
+    document.getElementById('stale-card-list').addEventListener('click', e => {
+      const button = e.target.closest('[data-stale-action]');
+      if (!button) return;
+
+      const cardId = button.dataset.id;
+      const action = button.dataset.staleAction;
+      let done;
+
+      if (action === 'regenerate') {
+        done = regenerateStaleCard(cardId, button);
+      } else if (action === 'keep') {
+        window.Flashcards.keepStaleCard(currentTopicId, cardId, currentMarkdown);
+      } else if (action === 'delete' && confirm('Delete this flashcard?')) {
+        window.Flashcards.deleteFlashcard(currentTopicId, cardId);
+      }
+
+      Promise.resolve(done).then(() => {
+        renderStaleCards();
+        updateManagerUI();
+      });
+    });
+  }
+
+  function updateStaleReport() {
+    const banner = document.getElementById('stale-banner');
+    if (!banner || !currentMarkdown) return;
+
+    const stale = window.Flashcards.getStaleCards(currentTopicId, currentMarkdown);
+    banner.hidden = stale.length === 0;
+    document.getElementById('stale-summary').textContent =
+      stale.length === 1
+        ? '1 card was generated from a section that has since changed.'
+        : `${stale.length} cards were generated from sections that have since changed.`;
+  }
+
+  function renderStaleCards() {
+    const list = document.getElementById('stale-card-list');
+    const stale = window.Flashcards.getStaleCards(currentTopicId, currentMarkdown);
+
+    if (stale.length === 0) {
+      list.innerHTML = '<p class="custom-deck-empty">All generated cards match the guide.</p>';
+      return;
+    }
+
+    list.innerHTML = stale
+      .map(({ card, status }) => {
+        const section = (card.headingPath || []).join(' › ') || 'Introduction';
+        const url = window.Flashcards.getSourceUrl(card);
+        return `
+      <div class="custom-deck-item">
+        <div class="custom-deck-info">
+          <strong>${escapeHtml(stripMarkdown(card.question))}</strong>
+          <small>
+            ${escapeHtml(section)}: ${status === 'removed' ? 'section removed' : 'section edited'}
+            ${status === 'changed' && url ? `· <a href="${url}" target="_blank">View in guide</a>` : ''}
+          </small>
+        </div>
+        <div class="flashcard-item-actions">
+          <button class="item-btn" data-stale-action="regenerate" data-id="${card.id}" title="Regenerate from the current text"${status === 'removed' ? ' disabled' : ''}>
+            <i class="fas fa-sync-alt"></i>
+          </button>
+          <button class="item-btn" data-stale-action="keep" data-id="${card.id}" title="Keep as it is">
+            <i class="fas fa-check"></i>
+          </button>
+          <button class="item-btn delete" data-stale-action="delete" data-id="${card.id}" title="Delete card">
+            <i class="fas fa-trash-alt"></i>
+          </button>
+        </div>
+      </div>
+    `;
+      })
+      .join('');
+  }
+
+  // Fresh cards of the same kind from the card's section, linked to its new text
+  async function generateSectionCards(card) {
+    const key = (card.headingPath || []).join('\n');
+    const inSection = c => (c.headingPath || []).join('\n') === key;
+
+    if (card.source === 'ai') {
+      const settings = window.Flashcards.getSettings();
+      const section = extractMarkdownSections(currentMarkdown).find(s => s.path.join('\n') === key);
+      if (!window.AIFlashcardGenerator.isConfigured(settings) || !section) return [];
+
+      const generator = new window.AIFlashcardGenerator(settings);
+      const { cards } = await generator.generateFlashcards(
+        currentMarkdown,
+        currentTopicId,
+        withExistingQuestions(section)
+      );
+      return window.Flashcards.linkToSource(cards, currentMarkdown, currentTopicId);
+    }
+
+    const cards =
+      card.format === 'output'
+        ? await window.Flashcards.generateOutputCards(currentMarkdown, currentTopicId)
+        : window.Flashcards.parseMarkdownForFlashcards(currentMarkdown, currentTopicId);
+    return cards.filter(c => inSection(c) && c.type === card.type);
+  }
+
+  async function regenerateStaleCard(cardId, button) {
+    const card = window.Flashcards.getFlashcards(currentTopicId).find(c => c.id === cardId);
+    if (!card) return;
+
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+    let candidates = [];
+    try {
+      candidates = await generateSectionCards(card);
+    } catch (error) {
+      console.error('Regeneration failed:', error);
+    }
+
+    // Prefer the same question with a new answer, else one no other card asks
+    const taken = new Set(
+      window.Flashcards.getFlashcards(currentTopicId)
+        .filter(c => c.id !== cardId)
+        .map(c => c.question)
+    );
+    const replacement =
+      candidates.find(c => c.question === card.question) || candidates.find(c => !taken.has(c.question));
+
+    if (!replacement) {
+      alert(
+        card.source === 'ai'
+          ? 'Could not regenerate this card. Check your AI provider under Auto-Generate, or keep or delete it.'
+          : 'The section no longer yields a card like this one. Keep or delete it instead.'
+      );
+      return;
+    }
+
+    window.Flashcards.applyGeneratedDiff(currentTopicId, [
+      { status: 'changed', card: replacement, existing: card },
+    ]);
+  }
+
+  // Card and due counts for a deck query, or the parse error
+  function countDeckCards(query) {
+    try {
+      const cards = window.Flashcards.findCards(query);
+      const now = new Date();
+      // Suspended and buried cards aren't served, so they aren't due either
+      const due = cards.filter(c => window.Flashcards.isDue(c, now)).length;
+      return { total: cards.length, due, error: null };
+    } catch (e) {
+      return { total: 0, due: 0, error: e.message };
+    }
+  }
+
+  function renderCustomDecks() {
+    const list = document.getElementById('custom-deck-list');
+    const decks = window.Flashcards.getCustomDecks();
+
+    if (decks.length === 0) {
+      list.innerHTML = '<p class="custom-deck-empty">No custom decks yet. Describe one below.</p>';
+      return;
+    }
+
+    list.innerHTML = decks
+      .map(deck => {
+        const counts = countDeckCards(deck.query);
+        return `
+      <div class="custom-deck-item">
+        <div class="custom-deck-info">
+          <strong>${escapeHtml(deck.name)}</strong>
+          <code>${escapeHtml(deck.query)}</code>
+          <small>${counts.error ? escapeHtml(counts.error) : `${counts.total} cards, ${counts.due} due`}</small>
+        </div>
+        <div class="flashcard-item-actions">
+          <button class="item-btn" data-deck-action="study" data-deck-id="${deck.id}" title="Study deck">
+            <i class="fas fa-play"></i>
+          </button>
+          <button class="item-btn edit" data-deck-action="edit" data-deck-id="${deck.id}" title="Edit deck">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="item-btn delete" data-deck-action="delete" data-deck-id="${deck.id}" title="Delete deck">
+            <i class="fas fa-trash-alt"></i>
+          </button>
+        </div>
+      </div>
+    `;
+      })
+      .join('');
+  }
+
+  function renderTagSuggestions() {
+    const tags = window.Flashcards.getAllTags(currentTopicId).slice(0, 20);
+    document.getElementById('tag-suggestions-group').style.display = tags.length ? '' : 'none';
+    document.getElementById('tag-suggestions').innerHTML = tags
+      .map(
+        ({ tag, count }) =>
+          `<button type="button" class="tag-chip" data-tag="${tag}">${tag} <small>${count}</small></button>`
+      )
+      .join('');
+  }
+
+  function updateDeckQueryResult() {
+    const query = document.getElementById('deck-query').value.trim();
+    const result = document.getElementById('deck-query-result');
+
+    if (!query) {
+      result.textContent = '';
+      return;
+    }
+
+    const counts = countDeckCards(query);
+    result.textContent = counts.error || `${counts.total} cards match, ${counts.due} due now`;
+    result.classList.toggle('error', Boolean(counts.error));
+  }
+
+  function resetDeckForm() {
+    document.getElementById('deck-id').value = '';
+    document.getElementById('deck-name').value = '';
+    document.getElementById('deck-query').value = '';
+    updateDeckQueryResult();
+  }
+
+  function saveCustomDeck() {
+    const name = document.getElementById('deck-name').value.trim();
+    const query = document.getElementById('deck-query').value.trim();
+
+    if (!name || !query) {
+      alert('Please enter both a name and a query');
+      return;
+    }
+
+    try {
+      window.Flashcards.saveCustomDeck({ id: document.getElementById('deck-id').value || undefined, name, query });
+    } catch (e) {
+      alert(`Invalid query: ${e.message}`);
+      return;
+    }
+
+    resetDeckForm();
+    renderCustomDecks();
+  }
+
+  function studyCustomDeck(deckId) {
+    const deck = window.Flashcards.getCustomDeck(deckId);
+    const counts = countDeckCards(deck.query);
+
+    if (counts.error || counts.total === 0) {
+      alert(counts.error || 'No flashcards match this deck right now.');
+      return;
+    }
+
+    window.location.href = `flashcard-study.html?deck=${encodeURIComponent(deckId)}`;
+  }
+
   function initDarkMode() {
     const savedMode = localStorage.getItem('dark-mode');
     const darkModeIcon = document.getElementById('dark-mode-icon');
@@ -275,8 +891,26 @@
     }
   }
 
+  function matchesStateFilter(card, state) {
+    switch (state) {
+      case 'active':
+        return !card.suspended && !window.Flashcards.isBuried(card);
+      case 'suspended':
+        return Boolean(card.suspended);
+      case 'buried':
+        return window.Flashcards.isBuried(card);
+      case 'leech':
+        return Boolean(card.leech);
+      default:
+        return true;
+    }
+  }
+
   function updateManagerUI() {
-    const cards = window.Flashcards.getFlashcards(currentTopicId);
+    const allCards = window.Flashcards.getFlashcards(currentTopicId);
+    const stateFilter = document.getElementById('card-state-filter');
+    const state = stateFilter ? stateFilter.value : 'all';
+    const cards = allCards.filter(card => matchesStateFilter(card, state));
     const stats = window.Flashcards.getStats(currentTopicId);
     const dueCount = window.Flashcards.getDueCount(currentTopicId);
 
@@ -285,24 +919,46 @@
     document.getElementById('review-cards').textContent = stats.toReview;
     document.getElementById('due-count').textContent = dueCount;
 
+    updateReviewStats();
+    updateStaleReport();
+
     const list = document.getElementById('flashcard-list');
     if (!list) return;
 
-    if (cards.length === 0) {
+    const stateCount = document.getElementById('card-state-count');
+    if (stateCount) {
+      stateCount.textContent = state === 'all' ? '' : `${cards.length} of ${allCards.length}`;
+    }
+
+    if (allCards.length === 0) {
       list.innerHTML =
         '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No flashcards yet. Click "Auto-Generate" or "Add Card" to get started!</div>';
       return;
     }
 
+    if (cards.length === 0) {
+      list.innerHTML =
+        '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No cards match this filter.</div>';
+      return;
+    }
+
     list.innerHTML = cards
       .map(card => {
         const strippedAnswer = stripMarkdown(card.answer);
         const preview = strippedAnswer.length > 150 ? strippedAnswer.substring(0, 150) + '...' : strippedAnswer;
+        const buried = window.Flashcards.isBuried(card);
+        const sourceUrl = window.Flashcards.getSourceUrl(card);
         return `
-      <div class="flashcard-item" data-id="${card.id}">
+      <div class="flashcard-item${card.suspended || buried ? ' is-set-aside' : ''}" data-id="${card.id}">
         <div class="flashcard-item-header">
           <div class="flashcard-item-question">${escapeHtml(stripMarkdown(card.question))}</div>
           <div class="flashcard-item-actions">
+            <button class="item-btn${buried ? ' active' : ''}" data-action="bury" data-id="${card.id}" title="${buried ? 'Unbury card' : 'Bury until tomorrow'}">
+              <i class="fas fa-moon"></i>
+            </button>
+            <button class="item-btn${card.suspended ? ' active' : ''}" data-action="suspend" data-id="${card.id}" title="${card.suspended ? 'Unsuspend card' : 'Suspend card'}">
+              <i class="fas ${card.suspended ? 'fa-play' : 'fa-pause'}"></i>
+            </button>
             <button class="item-btn edit" data-action="edit" data-id="${card.id}" title="Edit card">
               <i class="fas fa-edit"></i>
             </button>
@@ -316,6 +972,13 @@
           <span class="flashcard-confidence-stars">${getStars(card.confidence || 0)}</span>
           <span><i class="fas fa-redo"></i> ${card.reviewCount || 0} reviews</span>
           ${card.source === 'auto' ? '<span><i class="fas fa-magic"></i> Auto</span>' : ''}
+          ${card.format === 'cloze' ? `<span><i class="fas fa-puzzle-piece"></i> Cloze ${card.clozeIndex}</span>` : ''}
+          ${card.format === 'output' ? '<span><i class="fas fa-terminal"></i> Predict output</span>' : ''}
+          ${card.suspended ? '<span class="card-state-badge"><i class="fas fa-pause"></i> Suspended</span>' : ''}
+          ${buried ? '<span class="card-state-badge"><i class="fas fa-moon"></i> Buried</span>' : ''}
+          ${card.leech ? `<span class="card-state-badge leech" title="Forgotten ${card.lapses} times"><i class="fas fa-bug"></i> Leech</span>` : ''}
+          ${window.Flashcards.getCardTags(card).map(tag => `<span class="tag-chip">${tag}</span>`).join('')}
+          ${sourceUrl ? `<a class="source-link" href="${sourceUrl}" target="_blank"><i class="fas fa-book-open"></i> View in guide</a>` : ''}
         </div>
       </div>
     `;
@@ -323,6 +986,14 @@
       .join('');
   }
 
+  function updateReviewStats() {
+    window.Flashcards.getReviewStats(currentTopicId).then(stats => {
+      document.getElementById('reviews-today').textContent = stats.today;
+      document.getElementById('recall-rate').textContent = stats.retention === null ? '–' : `${stats.retention}%`;
+      document.getElementById('recall-rate-days').textContent = stats.recentDays;
+    });
+  }
+
   function editFlashcard(cardId) {
     const cards = window.Flashcards.getFlashcards(currentTopicId);
     const card = cards.find(c => c.id === cardId);
@@ -332,8 +1003,21 @@
       return;
     }
 
-    document.getElementById('card-question').value = card.question;
-    document.getElementById('card-answer').value = card.answer;
+    const isCloze = card.format === 'cloze';
+    const formatSelect = document.getElementById('card-format');
+    formatSelect.value = isCloze ? 'cloze' : 'basic';
+    formatSelect.disabled = true;
+    updateCardFormatFields();
+
+    // A cloze card is edited as its whole note, so every sibling picks up the change
+    document.getElementById('card-question').value = isCloze ? card.clozeText : card.question;
+    document.getElementById('card-answer').value = isCloze ? card.extra || '' : card.answer;
+    document.getElementById('card-tags').value = (card.tags || []).join(', ');
+
+    const autoTags = (card.headingPath || []).map(window.DeckQuery.toTag);
+    document.getElementById('card-auto-tags').textContent = autoTags.length
+      ? `Separate tags with commas. From its headings this card is also tagged: ${autoTags.join(', ')}`
+      : 'Separate tags with commas.';
 
     editingCardId = cardId;
 
@@ -345,7 +1029,57 @@
     openModal(document.getElementById('add-card-modal'));
   }
 
+  function updateCardFormatFields() {
+    const isCloze = document.getElementById('card-format').value === 'cloze';
+    const question = document.getElementById('card-question');
+    const answer = document.getElementById('card-answer');
+
+    document.getElementById('card-question-label').textContent = isCloze ? 'Text:' : 'Question:';
+    document.getElementById('card-answer-label').textContent = isCloze ? 'Back Extra (optional):' : 'Answer:';
+    document.getElementById('cloze-help').style.display = isCloze ? 'block' : 'none';
+    question.placeholder = isCloze
+      ? 'A closure is a {{c1::function}} bundled with its {{c2::lexical environment::scope}}'
+      : 'Enter the question...';
+    answer.placeholder = isCloze ? 'Notes shown on the back of every card...' : 'Enter the answer...';
+  }
+
+  function getTagInput() {
+    const tags = document.getElementById('card-tags').value.split(',').map(window.DeckQuery.toTag);
+    return [...new Set(tags.filter(Boolean))];
+  }
+
+  function saveClozeCard() {
+    const text = document.getElementById('card-question').value.trim();
+    const extra = document.getElementById('card-answer').value.trim();
+
+    if (!window.Cloze.hasCloze(text)) {
+      alert('Add at least one deletion, e.g. {{c1::answer}}');
+      return false;
+    }
+
+    const editing = editingCardId
+      ? window.Flashcards.getFlashcards(currentTopicId).find(c => c.id === editingCardId)
+      : null;
+
+    window.Flashcards.saveClozeNote(currentTopicId, {
+      noteId: editing ? editing.noteId : undefined,
+      text,
+      extra,
+      tags: getTagInput(),
+    });
+    return true;
+  }
+
   function saveNewCard() {
+    if (document.getElementById('card-format').value === 'cloze') {
+      if (saveClozeCard()) {
+        resetAddCardModal();
+        closeModal(document.getElementById('add-card-modal'));
+        updateManagerUI();
+      }
+      return;
+    }
+
     const question = document.getElementById('card-question').value.trim();
     const answer = document.getElementById('card-answer').value.trim();
 
@@ -355,15 +1089,19 @@
     }
 
     if (editingCardId) {
-      window.Flashcards.updateFlashcard(currentTopicId, editingCardId, {
-        question,
-        answer,
-      });
+      const editing = window.Flashcards.getFlashcards(currentTopicId).find(c => c.id === editingCardId);
+      const updates = { question, answer, tags: getTagInput() };
+      if (editing && editing.format === 'output') {
+        // Typed answers are checked against expectedOutput, so keep it in step
+        updates.expectedOutput = answer.replace(/^```\w*\n?|\n?```$/g, '');
+      }
+      window.Flashcards.updateFlashcard(currentTopicId, editingCardId, updates);
       editingCardId = null;
     } else {
       window.Flashcards.saveFlashcard(currentTopicId, {
         question,
         answer,
+        tags: getTagInput(),
         source: 'manual',
         type: 'manual',
       });
@@ -377,6 +1115,14 @@
   function resetAddCardModal() {
     document.getElementById('card-question').value = '';
     document.getElementById('card-answer').value = '';
+    document.getElementById('card-tags').value = '';
+    document.getElementById('card-auto-tags').textContent =
+      'Separate tags with commas. Generated cards are also tagged with the headings they came from.';
+
+    const formatSelect = document.getElementById('card-format');
+    formatSelect.value = 'basic';
+    formatSelect.disabled = false;
+    updateCardFormatFields();
 
     editingCardId = null;
 
@@ -386,13 +1132,28 @@
     }
   }
 
-  function showAutoGenerateModal() {
+  async function showAutoGenerateModal() {
     if (!currentMarkdown) {
       alert('Markdown source not available. Try refreshing the page or add cards manually.');
       return;
     }
 
-    const cards = window.Flashcards.parseMarkdownForFlashcards(currentMarkdown, currentTopicId);
+    const autoGenBtn = document.getElementById('auto-generate-btn');
+    autoGenBtn.disabled = true;
+    autoGenBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Running examples...';
+
+    let outputCards = [];
+    try {
+      outputCards = await window.Flashcards.generateOutputCards(currentMarkdown, currentTopicId);
+    } finally {
+      autoGenBtn.disabled = false;
+      autoGenBtn.innerHTML = '<i class="fas fa-magic"></i> Auto-Generate';
+    }
+
+    const cards = [
+      ...window.Flashcards.parseMarkdownForFlashcards(currentMarkdown, currentTopicId),
+      ...outputCards,
+    ];
 
     if (cards.length === 0) {
       alert('No flashcards could be generated from this content.');
@@ -404,6 +1165,7 @@
       definition: cards.filter(c => c.type === 'definition').length,
       list: cards.filter(c => c.type === 'list').length,
       code: cards.filter(c => c.type === 'code').length,
+      output: cards.filter(c => c.type === 'output').length,
     };
 
     document.getElementById('gen-total-count').textContent = cards.length;
@@ -411,52 +1173,138 @@
     document.getElementById('gen-def-count').textContent = byType.definition;
     document.getElementById('gen-list-count').textContent = byType.list;
     document.getElementById('gen-code-count').textContent = byType.code;
+    document.getElementById('gen-output-count').textContent = byType.output;
+
+    generatedDiffs = {
+      patterns: window.Flashcards.diffGeneratedCards(currentTopicId, cards),
+      ai: null,
+    };
+    aiSectionResults = [];
+    renderSectionProgress();
+    renderGenerateDiff();
+    openModal(document.getElementById('generate-modal'));
+  }
+
+  function isAIGeneration() {
+    return document.getElementById('use-ai-toggle')?.checked || false;
+  }
 
+  // Generated cards that differ from the deck, one checkbox each; cards the
+  // deck already has are only counted
+  function renderGenerateDiff() {
     const preview = document.getElementById('generate-preview-list');
-    if (preview) {
-      preview.innerHTML = cards
-        .slice(0, 10)
-        .map(c => `<li>${escapeHtml(stripMarkdown(c.question))}</li>`)
-        .join('');
-      if (cards.length > 10) {
-        preview.innerHTML += `<li style="font-style: italic; color: var(--text-secondary);">...and ${cards.length - 10} more</li>`;
-      }
+    const summary = document.getElementById('generate-diff-summary');
+    if (!preview || !summary) return;
+
+    const useAI = isAIGeneration();
+    const rows = useAI ? generatedDiffs.ai : generatedDiffs.patterns;
+
+    if (!rows) {
+      summary.textContent = useAI ? 'AI cards are compared with your deck before anything is added.' : '';
+      preview.innerHTML = '';
+      updateGenerateButton();
+      return;
     }
 
-    window._pendingCards = cards;
-    openModal(document.getElementById('generate-modal'));
+    const counts = { new: 0, changed: 0, duplicate: 0, unchanged: 0 };
+    rows.forEach(row => counts[row.status]++);
+    summary.textContent =
+      `${counts.new} new, ${counts.changed} changed, ${counts.duplicate} similar to existing cards, ` +
+      `${counts.unchanged} already in your deck`;
+
+    preview.innerHTML =
+      rows
+        .map((row, i) => {
+          if (row.status === 'unchanged') return '';
+          return `
+      <li class="generate-diff-row">
+        <label>
+          <input type="checkbox" data-row="${i}"${row.status === 'duplicate' ? '' : ' checked'}>
+          <span class="generate-diff-status ${row.status}">${DIFF_STATUS_LABELS[row.status]}</span>
+          ${escapeHtml(stripMarkdown(row.card.question))}
+        </label>
+        ${getDiffDetail(row)}
+      </li>
+    `;
+        })
+        .join('') || '<li class="generate-diff-empty">Your deck is already up to date.</li>';
+    updateGenerateButton();
   }
 
-  async function confirmAutoGenerate() {
-    const useAI = document.getElementById('use-ai-toggle')?.checked || false;
+  function getDiffDetail(row) {
+    const shorten = text => {
+      const plain = stripMarkdown(text);
+      return escapeHtml(plain.length > 120 ? `${plain.substring(0, 120)}...` : plain);
+    };
+
+    if (row.status === 'duplicate') {
+      return `<small>Like "${shorten(row.existing.question)}" (${Math.round(row.similarity * 100)}% similar)</small>`;
+    }
+    if (row.status === 'changed' && row.existing.answer.trim() !== row.card.answer.trim()) {
+      return `<small>Was: ${shorten(row.existing.answer)}</small><small>Now: ${shorten(row.card.answer)}</small>`;
+    }
+    if (row.status === 'changed') {
+      return '<small>Its section was edited; the answer reads the same</small>';
+    }
+    return '';
+  }
+
+  function updateGenerateButton() {
+    const confirmBtn = document.getElementById('generate-confirm-btn');
+    const btnText = document.getElementById('generate-btn-text');
+    if (!confirmBtn || !btnText) return;
+
+    const useAI = isAIGeneration();
+    if (useAI && !generatedDiffs.ai) {
+      btnText.textContent = 'Generate with AI';
+      confirmBtn.disabled = false;
+      return;
+    }
 
-    if (useAI) {
+    const selected = document.querySelectorAll('#generate-preview-list input[data-row]:checked').length;
+    btnText.textContent = `Apply Selected (${selected})`;
+    confirmBtn.disabled = selected === 0;
+  }
+
+  async function confirmAutoGenerate() {
+    if (isAIGeneration() && !generatedDiffs.ai) {
       await generateWithAI();
     } else {
-      generateWithPatterns();
+      applyGeneratedCards();
     }
   }
 
-  function generateWithPatterns() {
-    const cards = window._pendingCards;
-    if (!cards) return;
+  // Add or update only the rows left ticked; review history is kept
+  function applyGeneratedCards() {
+    const rows = isAIGeneration() ? generatedDiffs.ai : generatedDiffs.patterns;
+    if (!rows) return;
 
-    cards.forEach(card => {
-      window.Flashcards.saveFlashcard(currentTopicId, card);
-    });
+    const selected = Array.from(
+      document.querySelectorAll('#generate-preview-list input[data-row]:checked')
+    ).map(input => rows[Number(input.dataset.row)]);
+    const result = window.Flashcards.applyGeneratedDiff(currentTopicId, selected);
 
-    window._pendingCards = null;
+    generatedDiffs = { patterns: null, ai: null };
     closeModal(document.getElementById('generate-modal'));
     updateManagerUI();
-    alert(`Successfully generated ${cards.length} flashcards!`);
+    alert(`Added ${result.added} and updated ${result.updated} flashcards.`);
   }
 
-  async function generateWithAI() {
+  /**
+   * Generate AI cards section by section, showing each section's progress.
+   * With retryFailed, only sections that failed or were stopped are run
+   * again and their cards join those already generated.
+   */
+  async function generateWithAI(options = {}) {
     const confirmBtn = document.getElementById('generate-confirm-btn');
-    const apiKey = document.getElementById('ai-api-key-input')?.value.trim();
-
-    if (!apiKey) {
-      alert('Please enter your API key to use AI generation');
+    const settings = getAISettingsFromForm();
+
+    if (!window.AIFlashcardGenerator.isConfigured(settings)) {
+      alert(
+        settings.aiProvider === 'openai'
+          ? 'Please enter your server URL to use AI generation'
+          : 'Please enter your API key to use AI generation'
+      );
       return;
     }
 
@@ -465,49 +1313,131 @@
       return;
     }
 
+    if (!options.retryFailed) {
+      aiSectionResults = extractMarkdownSections(currentMarkdown).map(section => ({
+        section: withExistingQuestions(section),
+        status: 'queued',
+        cards: [],
+      }));
+    }
+    const pending = aiSectionResults.filter(result => result.status !== 'done');
+    pending.forEach(result => Object.assign(result, { status: 'queued', error: null }));
+
+    const controller = new AbortController();
+    aiAbortController = controller;
     confirmBtn.disabled = true;
     confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generating...';
+    renderSectionProgress();
 
     try {
-      const settings = window.Flashcards.getSettings();
       const generator = new window.AIFlashcardGenerator(settings);
-
-      const sections = extractMarkdownSections(currentMarkdown);
-      let allCards = [];
-
-      for (const section of sections) {
-        try {
-          const cards = await generator.generateFlashcards(currentMarkdown, currentTopicId, section);
-          allCards = allCards.concat(cards);
-        } catch (error) {
-          console.error(`Failed to generate for section "${section.heading}":`, error);
+      await generator.generateSections(
+        currentMarkdown,
+        currentTopicId,
+        pending.map(result => result.section),
+        {
+          signal: controller.signal,
+          concurrency: settings.aiConcurrency,
+          onProgress: (section, update) => {
+            const result = aiSectionResults.find(r => r.section === section);
+            Object.assign(result, update);
+            if (update.error) {
+              console.error(`Failed to generate for section "${section.heading}":`, update.error);
+            }
+            renderSectionProgress();
+          },
         }
+      );
+
+      const allCards = aiSectionResults.flatMap(result => result.cards);
+      const hasFailures = aiSectionResults.some(result => result.status !== 'done');
+      if (allCards.length > 0) {
+        const linked = window.Flashcards.linkToSource(allCards, currentMarkdown, currentTopicId);
+        generatedDiffs.ai = window.Flashcards.diffGeneratedCards(currentTopicId, linked);
+      } else if (!hasFailures) {
+        alert('No flashcards were generated. The AI may not have responded correctly.');
       }
-
-      if (allCards.length === 0) {
-        throw new Error('No flashcards were generated. The AI may not have responded correctly.');
-      }
-
-      allCards.forEach(card => {
-        window.Flashcards.saveFlashcard(currentTopicId, card);
-      });
-
-      closeModal(document.getElementById('generate-modal'));
-      updateManagerUI();
-      alert(`Successfully generated ${allCards.length} AI-powered flashcards!`);
     } catch (error) {
       console.error('AI generation error:', error);
       alert(`AI generation failed: ${error.message}\n\nTip: Check your API key and try again, or use pattern matching instead.`);
     } finally {
-      confirmBtn.disabled = false;
-      confirmBtn.innerHTML = '<i class="fas fa-magic"></i> <span id="generate-btn-text">Generate with AI</span>';
+      aiAbortController = null;
+      confirmBtn.innerHTML = '<i class="fas fa-magic"></i> <span id="generate-btn-text"></span>';
+      renderSectionProgress();
+      renderGenerateDiff();
+      updateCacheSummary();
     }
   }
 
+  function stopAIGeneration() {
+    if (aiAbortController) {
+      aiAbortController.abort();
+    }
+  }
+
+  function renderSectionProgress() {
+    const container = document.getElementById('ai-progress-section');
+    if (!container) return;
+
+    const running = Boolean(aiAbortController);
+    const count = status => aiSectionResults.filter(result => result.status === status).length;
+    const failed = count('failed');
+    const cancelled = count('cancelled');
+    const rejected = aiSectionResults.reduce((sum, r) => sum + (r.rejected || []).length, 0);
+    const cached = aiSectionResults.filter(result => result.cached).length;
+
+    container.classList.toggle('hidden', aiSectionResults.length === 0);
+    document.getElementById('ai-stop-btn').classList.toggle('hidden', !running);
+    document
+      .getElementById('ai-retry-btn')
+      .classList.toggle('hidden', running || failed + cancelled === 0);
+    document.getElementById('ai-progress-summary').textContent =
+      `${count('done')}/${aiSectionResults.length} done` +
+      (cached ? `, ${cached} from cache` : '') +
+      (failed ? `, ${failed} failed` : '') +
+      (cancelled ? `, ${cancelled} stopped` : '') +
+      (rejected ? ` (${rejected} card${rejected === 1 ? '' : 's'} rejected)` : '');
+
+    document.getElementById('ai-section-progress').innerHTML = aiSectionResults
+      .map(result => {
+        const rejectedCards = result.rejected || [];
+        let detail = '';
+        if (result.status === 'done') {
+          detail = `${result.cards.length} card${result.cards.length === 1 ? '' : 's'}`;
+          if (rejectedCards.length > 0) detail += `, ${rejectedCards.length} rejected`;
+          if (result.cached) detail += ' (cached)';
+        } else if (result.status === 'failed') {
+          detail = escapeHtml(result.error ? result.error.message : 'Failed');
+        } else if (result.status === 'cancelled') {
+          detail = 'Stopped';
+        }
+        return `
+      <li class="ai-section-row ${result.status}">
+        <i class="${SECTION_STATUS_ICONS[result.status]}"></i>
+        <span>${escapeHtml(result.section.path.join(' › '))}</span>
+        <small>${detail}</small>
+        ${renderRejectedCards(rejectedCards)}
+      </li>
+    `;
+      })
+      .join('');
+  }
+
+  // Cards the AI returned that failed validation, with the reason for each
+  function renderRejectedCards(rejected) {
+    if (rejected.length === 0) return '';
+
+    const items = rejected.map(
+      card => `<li>${escapeHtml(card.question || '(no question)')}: ${escapeHtml(card.reason)}</li>`
+    );
+    return `<ul class="ai-rejected-list">${items.join('')}</ul>`;
+  }
+
   function extractMarkdownSections(markdown) {
     const sections = [];
     const lines = markdown.split('\n');
     let currentSection = null;
+    let parentHeading = null;
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -518,9 +1448,16 @@
           sections.push(currentSection);
         }
 
+        const level = headingMatch[1].length;
+        const heading = headingMatch[2].trim();
+        if (level === 2) {
+          parentHeading = heading;
+        }
+
         currentSection = {
-          level: headingMatch[1].length,
-          heading: headingMatch[2].trim(),
+          level,
+          heading,
+          path: level === 3 && parentHeading ? [parentHeading, heading] : [heading],
           content: '',
         };
       } else if (currentSection) {
@@ -535,6 +1472,28 @@
     return sections.filter(s => s.content.length > 100);
   }
 
+  // Local servers need a URL and model instead of a key, which becomes optional
+  function updateProviderFields() {
+    const isServer = document.getElementById('ai-provider-select').value === 'openai';
+
+    document.getElementById('ai-server-fields').classList.toggle('hidden', !isServer);
+    document.getElementById('get-api-key-link').classList.toggle('hidden', isServer);
+    document.getElementById('ai-api-key-input').placeholder = isServer
+      ? 'Optional, if your server requires one'
+      : 'Enter your API key';
+  }
+
+  // AI settings as currently entered in the generate modal
+  function getAISettingsFromForm() {
+    return {
+      ...window.Flashcards.getSettings(),
+      aiProvider: document.getElementById('ai-provider-select').value,
+      aiApiKey: document.getElementById('ai-api-key-input').value.trim(),
+      aiBaseUrl: document.getElementById('ai-base-url-input').value.trim(),
+      aiModel: document.getElementById('ai-model-input').value.trim(),
+    };
+  }
+
   function loadAISettings() {
     const settings = window.Flashcards.getSettings();
     const aiApiKeyInput = document.getElementById('ai-api-key-input');
@@ -548,6 +1507,13 @@
     if (aiProviderSelect) {
       aiProviderSelect.value = settings.aiProvider || 'groq';
     }
+    document.getElementById('ai-base-url-input').value = settings.aiBaseUrl || '';
+    document.getElementById('ai-model-input').value = settings.aiModel || '';
+    updateProviderFields();
+    document.getElementById('ai-requests-per-minute').value = settings.aiRequestsPerMinute;
+    document.getElementById('ai-concurrency').value = settings.aiConcurrency;
+    renderPromptTemplateOptions();
+    updateCacheSummary();
     if (questionsPerSection) {
       questionsPerSection.value = settings.questionsPerSection || 3;
     }
@@ -556,6 +1522,271 @@
     }
   }
 
+  // For the {{existingQuestions}} placeholder in prompt templates
+  function withExistingQuestions(section) {
+    const key = section.path.join('\n');
+    const existingQuestions = window.Flashcards.getFlashcards(currentTopicId)
+      .filter(card => card.question && (card.headingPath || []).join('\n') === key)
+      .map(card => card.question);
+    return { ...section, existingQuestions };
+  }
+
+  function renderTemplateOptions(settings) {
+    const templates = window.AIFlashcardGenerator.getPromptTemplates(settings);
+    const option = template =>
+      `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`;
+    const builtIn = templates.filter(template => template.builtIn);
+    const own = templates.filter(template => !template.builtIn);
+
+    return (
+      `<optgroup label="Built-in">${builtIn.map(option).join('')}</optgroup>` +
+      (own.length ? `<optgroup label="Yours">${own.map(option).join('')}</optgroup>` : '')
+    );
+  }
+
+  function renderPromptTemplateOptions() {
+    const settings = window.Flashcards.getSettings();
+    const select = document.getElementById('prompt-template-select');
+    if (!select) return;
+
+    select.innerHTML = renderTemplateOptions(settings);
+    select.value = window.AIFlashcardGenerator.getPromptTemplate(settings).id;
+  }
+
+  function openTemplateEditor() {
+    templatePreviewSections = currentMarkdown
+      ? extractMarkdownSections(currentMarkdown).map(withExistingQuestions)
+      : [];
+    document.getElementById('template-preview-section').innerHTML = templatePreviewSections
+      .map(
+        (section, i) => `<option value="${i}">${escapeHtml(section.path.join(' › '))}</option>`
+      )
+      .join('');
+
+    const settings = window.Flashcards.getSettings();
+    selectTemplate(window.AIFlashcardGenerator.getPromptTemplate(settings).id);
+    document.getElementById('prompt-template-modal').classList.add('active');
+  }
+
+  // Leaves the generate modal underneath open, so body keeps its modal-open class
+  function closeTemplateEditor() {
+    document.getElementById('prompt-template-modal').classList.remove('active');
+  }
+
+  function getEditingTemplate() {
+    return window.AIFlashcardGenerator.getPromptTemplates(window.Flashcards.getSettings()).find(
+      template => template.id === editingTemplateId
+    );
+  }
+
+  function selectTemplate(templateId) {
+    const settings = window.Flashcards.getSettings();
+    const templates = window.AIFlashcardGenerator.getPromptTemplates(settings);
+    const template = templates.find(t => t.id === templateId) || templates[0];
+    const builtIn = Boolean(template.builtIn);
+    const select = document.getElementById('template-editor-select');
+
+    editingTemplateId = template.id;
+    select.innerHTML = renderTemplateOptions(settings);
+    select.value = template.id;
+    document.getElementById('template-name').value = template.name;
+    document.getElementById('template-name').disabled = builtIn;
+    document.getElementById('template-text').value = template.template;
+    document.getElementById('template-text').readOnly = builtIn;
+    document.getElementById('template-save-btn').classList.toggle('hidden', builtIn);
+    document.getElementById('template-delete-btn').classList.toggle('hidden', builtIn);
+    updateTemplatePreview();
+  }
+
+  function updateTemplatePreview() {
+    const text = document.getElementById('template-text').value;
+    const sectionIndex = document.getElementById('template-preview-section').value;
+    const section = templatePreviewSections[sectionIndex];
+    const unknown = window.AIFlashcardGenerator.findUnknownPlaceholders(text);
+    const warnings = [];
+
+    if (!/\{\{\s*section\s*\}\}/.test(text)) {
+      warnings.push('The template needs {{section}}, or the AI never sees the guide text.');
+    }
+    if (unknown.length > 0) {
+      warnings.push(`Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+    }
+    document.getElementById('template-warning').textContent = warnings.join(' ');
+
+    const generator = new window.AIFlashcardGenerator(getAISettingsFromForm());
+    document.getElementById('template-preview').textContent = section
+      ? generator.buildPrompt(currentTopicId, section, text)
+      : 'No sections to preview in this chapter.';
+  }
+
+  // The editor's name and text, or null (after telling the user) if unusable
+  function readTemplateForm() {
+    const name = document.getElementById('template-name').value.trim();
+    const template = document.getElementById('template-text').value;
+
+    if (!name) {
+      alert('Please enter a name for the template');
+      return null;
+    }
+    if (!/\{\{\s*section\s*\}\}/.test(template)) {
+      alert('A template needs the {{section}} placeholder so the AI sees the guide text.');
+      return null;
+    }
+    return { name, template };
+  }
+
+  function saveTemplate() {
+    const form = readTemplateForm();
+    if (!form) return false;
+
+    const settings = window.Flashcards.getSettings();
+    saveAISetting(
+      'aiPromptTemplates',
+      settings.aiPromptTemplates.map(t => (t.id === editingTemplateId ? { ...t, ...form } : t))
+    );
+    selectTemplate(editingTemplateId);
+    renderPromptTemplateOptions();
+    return true;
+  }
+
+  function copyTemplate() {
+    const current = getEditingTemplate();
+    const form = current.builtIn
+      ? { name: current.name, template: current.template }
+      : readTemplateForm();
+    if (!form) return;
+
+    const copy = {
+      id: `tpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: form.name === current.name ? `${form.name} (copy)` : form.name,
+      template: form.template,
+    };
+    const settings = window.Flashcards.getSettings();
+    saveAISetting('aiPromptTemplates', [...settings.aiPromptTemplates, copy]);
+    selectTemplate(copy.id);
+    renderPromptTemplateOptions();
+  }
+
+  function deleteTemplate() {
+    const current = getEditingTemplate();
+    if (!current || current.builtIn || !confirm(`Delete the template "${current.name}"?`)) return;
+
+    const settings = window.Flashcards.getSettings();
+    window.Flashcards.saveSettings({
+      ...settings,
+      aiPromptTemplates: settings.aiPromptTemplates.filter(t => t.id !== current.id),
+      aiPromptTemplateId:
+        settings.aiPromptTemplateId === current.id ? 'standard' : settings.aiPromptTemplateId,
+    });
+    selectTemplate('standard');
+    renderPromptTemplateOptions();
+  }
+
+  function useTemplate() {
+    if (!getEditingTemplate().builtIn && !saveTemplate()) return;
+
+    saveAISetting('aiPromptTemplateId', editingTemplateId);
+    renderPromptTemplateOptions();
+    closeTemplateEditor();
+  }
+
+  function exportTemplates() {
+    const templates = window.Flashcards.getSettings().aiPromptTemplates;
+    if (templates.length === 0) {
+      alert('You have no templates of your own yet. Save a copy of a built-in one to start.');
+      return;
+    }
+
+    const data = {
+      templates: templates.map(({ name, template }) => ({ name, template })),
+      exportDate: new Date().toISOString(),
+      version: '1.0',
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `prompt-templates-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Templates with the name of one of yours replace it; the rest are added
+  function importTemplates(file) {
+    const reader = new FileReader();
+    reader.onload = e => {
+      let imported;
+      try {
+        const data = JSON.parse(e.target.result);
+        imported = (Array.isArray(data) ? data : data.templates || []).filter(
+          t =>
+            t &&
+            typeof t.name === 'string' &&
+            t.name.trim() &&
+            typeof t.template === 'string' &&
+            t.template.trim()
+        );
+      } catch (err) {
+        alert('Error importing templates: ' + err.message);
+        return;
+      }
+
+      if (imported.length === 0) {
+        alert('No prompt templates found in this file.');
+        return;
+      }
+
+      const templates = window.Flashcards.getSettings().aiPromptTemplates.map(t => ({ ...t }));
+      let lastId = null;
+      imported.forEach((t, i) => {
+        const name = t.name.trim();
+        const existing = templates.find(own => own.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+          existing.template = t.template;
+          lastId = existing.id;
+        } else {
+          lastId = `tpl-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 5)}`;
+          templates.push({ id: lastId, name, template: t.template });
+        }
+      });
+
+      saveAISetting('aiPromptTemplates', templates);
+      selectTemplate(lastId);
+      renderPromptTemplateOptions();
+      alert(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}.`);
+    };
+    reader.readAsText(file);
+  }
+
+  function updateCacheSummary() {
+    const summary = document.getElementById('ai-cache-summary');
+    if (!summary) return;
+
+    window.AIFlashcardGenerator.getCacheStats(currentTopicId).then(stats => {
+      const size = stats.bytes < 1024 ? `${stats.bytes} B` : `${Math.round(stats.bytes / 1024)} KB`;
+      summary.textContent =
+        `${stats.topicEntries} section${stats.topicEntries === 1 ? '' : 's'} in this topic, ` +
+        `${stats.entries} in all (${size})`;
+      document.getElementById('ai-cache-clear-topic').disabled = stats.topicEntries === 0;
+      document.getElementById('ai-cache-clear-all').disabled = stats.entries === 0;
+    });
+  }
+
+  function clearAICache(topicId) {
+    const scope = topicId ? 'this topic' : 'every topic';
+    if (!confirm(`Delete cached AI replies for ${scope}? Sections will be sent to the API again.`)) {
+      return;
+    }
+
+    window.AIFlashcardGenerator.clearCache(topicId)
+      .catch(e => {
+        console.error('Error clearing AI cache:', e);
+        alert('Failed to clear the AI cache.');
+      })
+      .then(updateCacheSummary);
+  }
+
   function saveAISetting(key, value) {
     const settings = window.Flashcards.getSettings();
     settings[key] = value;
@@ -564,11 +1795,15 @@
 
   async function testAIConnection() {
     const testBtn = document.getElementById('test-ai-connection');
-    const apiKey = document.getElementById('ai-api-key-input').value.trim();
-    const provider = document.getElementById('ai-provider-select').value;
-
-    if (!apiKey) {
-      showTestResult('Please enter an API key first', false);
+    const settings = getAISettingsFromForm();
+
+    if (!window.AIFlashcardGenerator.isConfigured(settings)) {
+      showTestResult(
+        settings.aiProvider === 'openai'
+          ? 'Please enter the server URL first'
+          : 'Please enter an API key first',
+        false
+      );
       return;
     }
 
@@ -576,10 +1811,6 @@
     testBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Testing...';
 
     try {
-      const settings = window.Flashcards.getSettings();
-      settings.aiApiKey = apiKey;
-      settings.aiProvider = provider;
-
       const generator = new window.AIFlashcardGenerator(settings);
       const result = await generator.testConnection();
 
@@ -666,11 +1897,20 @@
 
   document.addEventListener('keydown', e => {
     if (e.key === 'Escape') {
+      // The template editor sits on top of the generate modal; close only it
+      const templateModal = document.getElementById('prompt-template-modal');
+      if (templateModal && templateModal.classList.contains('active')) {
+        closeTemplateEditor();
+        return;
+      }
+
       const modals = [document.getElementById('generate-modal'), document.getElementById('add-card-modal')];
       modals.forEach(modal => {
         if (modal && modal.classList.contains('active')) {
           if (modal === document.getElementById('add-card-modal')) {
             resetAddCardModal();
+          } else {
+            stopAIGeneration();
           }
           closeModal(modal);
         }
@@ -688,9 +1928,13 @@
     updateManagerUI,
   };
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([window.Flashcards.ready, domReady]).then(init);
 })();
@@ -0,0 +1,319 @@
+/* global marked, hljs */
+(function () {
+  'use strict';
+
+  if (!window.Quiz) {
+    console.error('Quiz module not loaded');
+    return;
+  }
+
+  const AI_BADGE = '<i class="fas fa-robot" title="AI-generated wrong answers"></i>';
+
+  let currentTopicId = null;
+  let awaitingNext = false;
+
+  function init() {
+    const urlParams = new URLSearchParams(window.location.search);
+    currentTopicId = urlParams.get('topic');
+
+    if (!currentTopicId) {
+      alert('No topic specified. Redirecting to index...');
+      window.location.href = 'index.html';
+      return;
+    }
+
+    const topicTitle = document.getElementById('topic-title');
+    if (topicTitle) {
+      topicTitle.textContent = formatTopicTitle(currentTopicId);
+    }
+
+    setupEventListeners();
+    setupAIToggle();
+    renderHistory();
+    initDarkMode();
+  }
+
+  function formatTopicTitle(topicId) {
+    return topicId
+      .replace(/^\d+-/, '')
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  function setupEventListeners() {
+    const backBtn = document.getElementById('back-to-manager');
+    if (backBtn) {
+      backBtn.addEventListener('click', leaveQuiz);
+    }
+
+    const darkModeToggle = document.getElementById('dark-mode-toggle');
+    if (darkModeToggle) {
+      darkModeToggle.addEventListener('click', toggleDarkMode);
+    }
+
+    document.getElementById('quiz-start-btn').addEventListener('click', startQuiz);
+    document
+      .getElementById('quiz-again-btn')
+      .addEventListener('click', () => showPanel('quiz-setup'));
+    document.getElementById('quiz-done-btn').addEventListener('click', leaveQuiz);
+    document.getElementById('quiz-next-btn').addEventListener('click', nextQuestion);
+
+    document.getElementById('quiz-choices').addEventListener('click', e => {
+      const choice = e.target.closest('[data-choice]');
+      if (choice) {
+        handleChoice(Number(choice.dataset.choice));
+      }
+    });
+  }
+
+  function setupAIToggle() {
+    const toggle = document.getElementById('quiz-ai-distractors');
+    const settings = window.Flashcards.getSettings();
+
+    if (!window.AIFlashcardGenerator.isConfigured(settings)) {
+      toggle.checked = false;
+      toggle.disabled = true;
+      document.getElementById('quiz-ai-help').textContent =
+        'Set up an AI provider under Auto-Generate in the flashcard manager to enable this.';
+      return;
+    }
+
+    toggle.checked = Boolean(settings.aiEnabled);
+    toggle.addEventListener('change', () => {
+      window.Flashcards.saveSettings({
+        ...window.Flashcards.getSettings(),
+        aiEnabled: toggle.checked,
+      });
+    });
+  }
+
+  function showPanel(id) {
+    ['quiz-setup', 'quiz-question-panel', 'quiz-results'].forEach(panel => {
+      document.getElementById(panel).style.display = panel === id ? 'block' : 'none';
+    });
+  }
+
+  function startQuiz() {
+    const startBtn = document.getElementById('quiz-start-btn');
+    const count = Number(document.getElementById('quiz-question-count').value);
+
+    startBtn.disabled = true;
+    startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Preparing...';
+
+    window.Quiz.start(currentTopicId, { count })
+      .then(quiz => {
+        if (!quiz) {
+          alert('A quiz needs at least two flashcards in this topic. Create some first.');
+          return;
+        }
+        showPanel('quiz-question-panel');
+        updateQuestion();
+      })
+      .finally(() => {
+        startBtn.disabled = false;
+        startBtn.innerHTML = '<i class="fas fa-play"></i> Start Quiz';
+      });
+  }
+
+  function updateQuestion() {
+    const question = window.Quiz.getCurrentQuestion();
+    const score = window.Quiz.getScore();
+
+    if (!question) {
+      finishQuiz();
+      return;
+    }
+
+    awaitingNext = false;
+    document.getElementById('quiz-question-number').textContent =
+      `Question ${score.answered + 1}/${score.total}`;
+    document.getElementById('quiz-correct').textContent = score.correct;
+    document.getElementById('quiz-wrong').textContent = score.answered - score.correct;
+    updateProgressBar(score.answered / score.total);
+
+    document.getElementById('quiz-prompt').innerHTML = renderMarkdown(question.prompt);
+    document.getElementById('quiz-choices').innerHTML = question.choices
+      .map(
+        (choice, i) => `
+      <button class="quiz-choice" data-choice="${i}">
+        <kbd>${i + 1}</kbd>
+        <div class="quiz-choice-text flashcard-text">${renderMarkdown(choice)}</div>
+      </button>
+    `
+      )
+      .join('');
+    document.getElementById('quiz-feedback').style.display = 'none';
+  }
+
+  function handleChoice(choiceIndex) {
+    if (awaitingNext) return;
+
+    const result = window.Quiz.answer(choiceIndex);
+    if (!result) return;
+
+    awaitingNext = true;
+    document.querySelectorAll('.quiz-choice').forEach((btn, i) => {
+      btn.disabled = true;
+      btn.classList.toggle('correct', i === result.correctIndex);
+      btn.classList.toggle('wrong', i === choiceIndex && !result.correct);
+    });
+
+    const score = window.Quiz.getScore();
+    document.getElementById('quiz-correct').textContent = score.correct;
+    document.getElementById('quiz-wrong').textContent = score.answered - score.correct;
+    document.getElementById('quiz-feedback-text').textContent = result.correct
+      ? 'Correct!'
+      : 'Not quite. The right answer is highlighted.';
+    document.getElementById('quiz-feedback').style.display = 'flex';
+    document.getElementById('quiz-next-btn').innerHTML = result.isComplete
+      ? 'See Results <i class="fas fa-flag-checkered"></i>'
+      : 'Next <i class="fas fa-arrow-right"></i>';
+  }
+
+  function nextQuestion() {
+    if (awaitingNext) {
+      updateQuestion();
+    }
+  }
+
+  function finishQuiz() {
+    const score = window.Quiz.getScore();
+
+    window.Quiz.finish().then(() => {
+      updateProgressBar(1);
+      document.getElementById('quiz-score').innerHTML = `
+        <div class="quiz-score-value">${score.percentage}%</div>
+        <div>${score.correct} of ${score.answered} correct</div>
+      `;
+      showPanel('quiz-results');
+      renderHistory();
+    });
+  }
+
+  function leaveQuiz() {
+    const score = window.Quiz.getScore();
+    const done = score && score.answered > 0 ? window.Quiz.finish() : Promise.resolve();
+
+    done.then(() => {
+      window.location.href = `flashcard-manager.html?topic=${currentTopicId}`;
+    });
+  }
+
+  function renderHistory() {
+    window.Quiz.getHistory(currentTopicId).then(attempts => {
+      const list = document.getElementById('quiz-history-list');
+
+      if (attempts.length === 0) {
+        list.innerHTML = '<p class="quiz-history-empty">No quizzes taken yet.</p>';
+        return;
+      }
+
+      list.innerHTML = attempts
+        .map(
+          attempt => `
+        <div class="quiz-history-item">
+          <span>${new Date(attempt.date).toLocaleString()}</span>
+          <span>${attempt.correct}/${attempt.total}</span>
+          <span class="quiz-history-score">${attempt.percentage}%</span>
+          <span>${attempt.aiDistractors ? AI_BADGE : ''}</span>
+        </div>
+      `
+        )
+        .join('');
+    });
+  }
+
+  function updateProgressBar(fraction) {
+    const fill = document.getElementById('progress-fill');
+    if (fill) {
+      fill.style.width = `${Math.round(fraction * 100)}%`;
+    }
+  }
+
+  function initDarkMode() {
+    const savedMode = localStorage.getItem('dark-mode');
+    const darkModeIcon = document.getElementById('dark-mode-icon');
+
+    document.body.classList.toggle('dark-mode', savedMode === 'true');
+    if (darkModeIcon && savedMode === 'true') {
+      darkModeIcon.classList.remove('fa-moon');
+      darkModeIcon.classList.add('fa-sun');
+    }
+  }
+
+  function toggleDarkMode() {
+    const darkModeIcon = document.getElementById('dark-mode-icon');
+    const isDark = document.body.classList.toggle('dark-mode');
+
+    localStorage.setItem('dark-mode', isDark ? 'true' : 'false');
+    if (darkModeIcon) {
+      darkModeIcon.classList.toggle('fa-sun', isDark);
+      darkModeIcon.classList.toggle('fa-moon', !isDark);
+    }
+  }
+
+  function renderMarkdown(text) {
+    if (!text || typeof marked === 'undefined') return escapeHtml(text);
+
+    try {
+      return marked.parse(text, {
+        breaks: true,
+        gfm: true,
+        highlight: function (code, lang) {
+          if (lang && hljs && hljs.getLanguage(lang)) {
+            return hljs.highlight(code, { language: lang }).value;
+          }
+          return code;
+        },
+      });
+    } catch (e) {
+      return escapeHtml(text);
+    }
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  document.addEventListener('keydown', e => {
+    const questionPanel = document.getElementById('quiz-question-panel');
+    if (!questionPanel || questionPanel.style.display === 'none') return;
+
+    const choice = Number(e.key);
+    if (choice >= 1 && choice <= window.Quiz.CHOICES_PER_QUESTION) {
+      const button = document.querySelector(`.quiz-choice[data-choice="${choice - 1}"]`);
+      if (button) {
+        handleChoice(choice - 1);
+      }
+      return;
+    }
+
+    if (e.key === 'Enter' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      nextQuestion();
+      return;
+    }
+
+    if ((e.metaKey || e.ctrlKey) && e.key === 'd') {
+      e.preventDefault();
+      toggleDarkMode();
+    }
+  });
+
+  window.FlashcardQuizUI = {
+    init,
+  };
+
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([window.Flashcards.ready, domReady]).then(init);
+})();
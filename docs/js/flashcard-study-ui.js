@@ -1,3 +1,4 @@
+/* global marked, hljs */
 (function () {
   'use strict';
 
@@ -7,14 +8,39 @@
   }
 
   let currentTopicId = null;
+  let studyQuery = null;
   let studyMode = 'all';
+  let studyCardId = null;
+  let typedAnswerMode = false;
+  let suggestedQuality = null;
+
+  // Rating pre-selected after a typed answer, by similarity to the expected one
+  const SUGGESTED_RATINGS = [
+    { minSimilarity: 0.95, quality: 4 }, // Good
+    { minSimilarity: 0.75, quality: 2 }, // Hard
+    { minSimilarity: 0, quality: 1 }, // Again
+  ];
 
   function init() {
     const urlParams = new URLSearchParams(window.location.search);
     currentTopicId = urlParams.get('topic');
     studyMode = urlParams.get('mode') || 'all';
+    studyCardId = urlParams.get('card');
+    studyQuery = urlParams.get('query');
+
+    // A custom deck studies its saved query across every topic
+    const deckId = urlParams.get('deck');
+    const deck = deckId ? window.Flashcards.getCustomDeck(deckId) : null;
+    if (deckId && !deck) {
+      alert('That custom deck no longer exists. Redirecting to index...');
+      window.location.href = 'index.html';
+      return;
+    }
+    if (deck) {
+      studyQuery = deck.query;
+    }
 
-    if (!currentTopicId) {
+    if (!currentTopicId && !studyQuery && studyMode !== 'today') {
       alert('No topic specified. Redirecting to index...');
       window.location.href = 'index.html';
       return;
@@ -22,14 +48,29 @@
 
     const topicTitle = document.getElementById('topic-title');
     if (topicTitle) {
-      topicTitle.textContent = formatTopicTitle(currentTopicId);
+      if (deck) {
+        topicTitle.textContent = deck.name;
+      } else if (studyMode === 'today') {
+        topicTitle.textContent = "Today's review, all topics";
+      } else {
+        topicTitle.textContent = currentTopicId ? formatTopicTitle(currentTopicId) : studyQuery;
+      }
     }
 
+    typedAnswerMode = Boolean(window.Flashcards.getSettings().typeAnswers);
+
     setupEventListeners();
     startStudySession();
     initDarkMode();
   }
 
+  // Topic sessions return to the topic's manager, today's review to its
+  // overview and custom decks to the index
+  function getReturnUrl() {
+    if (currentTopicId) return `flashcard-manager.html?topic=${currentTopicId}`;
+    return studyMode === 'today' ? 'flashcard-today.html' : 'index.html';
+  }
+
   function formatTopicTitle(topicId) {
     return topicId
       .replace(/^\d+-/, '')
@@ -44,7 +85,7 @@
     if (backBtn) {
       backBtn.addEventListener('click', () => {
         window.Flashcards.endSession();
-        window.location.href = `flashcard-manager.html?topic=${currentTopicId}`;
+        window.location.href = getReturnUrl();
       });
     }
 
@@ -80,6 +121,41 @@
       });
     }
 
+    const undoBtn = document.getElementById('study-undo');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', handleUndo);
+    }
+
+    const completeUndoBtn = document.getElementById('study-complete-undo');
+    if (completeUndoBtn) {
+      completeUndoBtn.addEventListener('click', handleUndo);
+    }
+
+    const finishBtn = document.getElementById('study-finish');
+    if (finishBtn) {
+      finishBtn.addEventListener('click', endStudySession);
+    }
+
+    const buryBtn = document.getElementById('study-bury');
+    if (buryBtn) {
+      buryBtn.addEventListener('click', () => setCardAside('bury'));
+    }
+
+    const suspendBtn = document.getElementById('study-suspend');
+    if (suspendBtn) {
+      suspendBtn.addEventListener('click', () => setCardAside('suspend'));
+    }
+
+    const typedToggle = document.getElementById('typed-answer-toggle');
+    if (typedToggle) {
+      typedToggle.checked = typedAnswerMode;
+      typedToggle.addEventListener('change', () => {
+        typedAnswerMode = typedToggle.checked;
+        window.Flashcards.saveSettings({ ...window.Flashcards.getSettings(), typeAnswers: typedAnswerMode });
+        resetTypedAnswer();
+      });
+    }
+
     const againBtn = document.getElementById('study-again-btn');
     const hardBtn = document.getElementById('study-hard-btn');
     const goodBtn = document.getElementById('study-good-btn');
@@ -135,18 +211,41 @@
 
 
   function startStudySession() {
-    const session = window.Flashcards.startStudySession(currentTopicId, {
-      shuffle: true,
-      mode: studyMode,
-    });
+    if (studyMode === 'today') {
+      window.Flashcards.startTodaySession().then(session => {
+        if (!session) {
+          alert("You're done for today! Nothing else is due within your daily limits.");
+          window.location.href = getReturnUrl();
+          return;
+        }
+        updateStudyCard();
+      });
+      return;
+    }
+
+    let session;
+    try {
+      session = window.Flashcards.startStudySession(currentTopicId, {
+        shuffle: true,
+        mode: studyMode,
+        query: studyQuery,
+        cardIds: studyCardId ? [studyCardId] : null,
+      });
+    } catch (e) {
+      alert(`Invalid deck query: ${e.message}`);
+      window.location.href = getReturnUrl();
+      return;
+    }
 
     if (!session) {
-      const message =
-        studyMode === 'due'
-          ? 'No flashcards are due for review right now!'
-          : 'No flashcards to study! Create some first.';
+      let message = 'No flashcards to study! Create some first.';
+      if (studyQuery) {
+        message = 'No flashcards match this deck right now.';
+      } else if (studyMode === 'due') {
+        message = 'No flashcards are due for review right now!';
+      }
       alert(message);
-      window.location.href = `flashcard-manager.html?topic=${currentTopicId}`;
+      window.location.href = getReturnUrl();
       return;
     }
 
@@ -157,17 +256,34 @@
     const card = window.Flashcards.getCurrentCard();
     const stats = window.Flashcards.getSessionStats();
 
-    if (!card || !stats) {
+    if (!stats) {
       endStudySession();
       return;
     }
 
-    document.getElementById('study-card-number').textContent = `Card ${stats.current}/${stats.total}`;
+    // Past the last card the session stays open so the final answer can still be undone
+    if (!card) {
+      showSessionComplete(stats);
+      return;
+    }
+    setSessionComplete(false);
+
+    // Sessions that mix topics say which one each card is from
+    const topicLabel = currentTopicId ? '' : ` · ${formatTopicTitle(card.topicId || '')}`;
+    document.getElementById('study-card-number').textContent = `Card ${stats.current}/${stats.total}${topicLabel}`;
     document.getElementById('study-correct').textContent = stats.correct;
     document.getElementById('study-review').textContent = stats.review;
 
-    document.getElementById('flashcard-question').innerHTML = renderMarkdown(card.question);
-    document.getElementById('flashcard-answer').innerHTML = renderMarkdown(card.answer);
+    const sourceLink = document.getElementById('study-source-link');
+    const sourceUrl = window.Flashcards.getSourceUrl(card);
+    if (sourceLink) {
+      sourceLink.hidden = !sourceUrl;
+      sourceLink.href = sourceUrl || '#';
+    }
+
+    const faces = getCardFaces(card);
+    document.getElementById('flashcard-question').innerHTML = renderMarkdown(faces.front);
+    document.getElementById('flashcard-answer').innerHTML = renderMarkdown(faces.back);
     document.getElementById('flashcard-confidence').textContent = `${getStars(card.confidence || 0)} ${getConfidenceText(card.confidence || 0)}`;
 
     const flashcard = document.getElementById('flashcard');
@@ -177,6 +293,90 @@
     }
 
     document.getElementById('study-answer-buttons').style.display = 'none';
+    resetTypedAnswer();
+
+    const undoBtn = document.getElementById('study-undo');
+    if (undoBtn) {
+      undoBtn.disabled = !window.Flashcards.canUndo();
+    }
+  }
+
+  // Markdown for each side; cloze cards are drawn from their note text
+  function getCardFaces(card) {
+    if (card.format !== 'cloze') {
+      return { front: card.question, back: card.answer };
+    }
+
+    const back = window.Cloze.renderBack(card.clozeText, card.clozeIndex, { html: true });
+    return {
+      front: window.Cloze.renderFront(card.clozeText, card.clozeIndex, { html: true }),
+      back: card.extra ? `${back}\n\n${card.extra}` : back,
+    };
+  }
+
+  // Predict-the-output cards are always answered by typing the output
+  function isTypedCard(card) {
+    return typedAnswerMode || Boolean(card && card.format === 'output');
+  }
+
+  function resetTypedAnswer() {
+    const typed = isTypedCard(window.Flashcards.getCurrentCard());
+    const container = document.getElementById('typed-answer');
+    const input = document.getElementById('typed-answer-input');
+    const diff = document.getElementById('typed-answer-diff');
+    if (!container || !input || !diff) return;
+
+    suggestedQuality = null;
+    document.querySelectorAll('.answer-btn.suggested').forEach(btn => btn.classList.remove('suggested'));
+
+    input.value = '';
+    input.placeholder = input.dataset[typed && !typedAnswerMode ? 'outputPlaceholder' : 'placeholder'];
+    diff.innerHTML = '';
+    diff.style.display = 'none';
+    container.style.display = typed ? 'block' : 'none';
+    if (typed) {
+      input.focus();
+    }
+  }
+
+  // What a typed answer is compared against: the hidden text for cloze cards,
+  // the recorded console output for predict-the-output cards
+  function getExpectedAnswer(card) {
+    if (card.format === 'cloze') {
+      return window.Cloze.getAnswer(card.clozeText, card.clozeIndex);
+    }
+    if (card.format === 'output') {
+      return card.expectedOutput;
+    }
+    return stripMarkdown(card.answer);
+  }
+
+  function checkTypedAnswer() {
+    const card = window.Flashcards.getCurrentCard();
+    const input = document.getElementById('typed-answer-input');
+    const diffEl = document.getElementById('typed-answer-diff');
+    if (!card || !input || !diffEl) return;
+
+    const expected = getExpectedAnswer(card);
+    const typed = input.value.trim();
+    const ops = window.TextDiff.diff(expected, typed);
+    const similarity = window.TextDiff.similarity(expected, typed);
+
+    suggestedQuality = SUGGESTED_RATINGS.find(r => similarity >= r.minSimilarity).quality;
+    const suggestedBtn = document.querySelector(`.answer-btn[data-quality="${suggestedQuality}"]`);
+    if (suggestedBtn) {
+      suggestedBtn.classList.add('suggested');
+    }
+
+    const label = typed ? `Your answer · ${Math.round(similarity * 100)}% match` : 'No answer typed';
+    diffEl.innerHTML = `
+      <div class="typed-answer-label">${label}</div>
+      <div class="typed-answer-ops">${ops
+        .map(op => `<span class="diff-${op.type}">${escapeHtml(op.value)}</span>`)
+        .join('')}</div>
+    `;
+    diffEl.style.display = 'block';
+    input.blur();
   }
 
   function adjustFlashcardHeight() {
@@ -204,6 +404,11 @@
     const flashcard = document.getElementById('flashcard');
     if (!flashcard) return;
 
+    const card = window.Flashcards.getCurrentCard();
+    if (isTypedCard(card) && !flashcard.classList.contains('flipped') && suggestedQuality === null) {
+      checkTypedAnswer();
+    }
+
     window.Flashcards.flipCard();
     flashcard.classList.toggle('flipped');
 
@@ -222,21 +427,60 @@
 
     if (!result) return;
 
-    if (result.isComplete) {
-      endStudySession();
-    } else {
+    if (result.becameLeech) {
+      const settings = window.Flashcards.getSettings();
+      alert(
+        `You have forgotten this card ${settings.leechThreshold} times, so it is now marked as a leech` +
+          (settings.leechAction === 'suspend' ? ' and suspended' : '') +
+          '.\n\nConsider rewording or splitting it in the flashcard manager.'
+      );
+    }
+
+    updateStudyCard();
+  }
+
+  function handleUndo() {
+    if (window.Flashcards.undoLastAnswer()) {
       updateStudyCard();
     }
   }
 
-  function endStudySession() {
-    const stats = window.Flashcards.endSession();
+  // Take the current card out of study, until tomorrow or until unsuspended.
+  // Undo brings it back like an answer.
+  function setCardAside(action) {
+    if (window.Flashcards.setCurrentCardAside(action)) {
+      updateStudyCard();
+    }
+  }
 
-    if (stats) {
-      alert(`Study session complete!\n\nCorrect: ${stats.correct}\nTo review: ${stats.review}\n\nKeep it up!`);
+  function showSessionComplete(stats) {
+    setSessionComplete(true);
+    document.getElementById('study-complete-summary').textContent =
+      `Correct: ${stats.correct} · To review: ${stats.review}. Keep it up!`;
+
+    const undoBtn = document.getElementById('study-complete-undo');
+    if (undoBtn) {
+      undoBtn.disabled = !window.Flashcards.canUndo();
     }
+    document.getElementById('study-finish')?.focus();
+  }
 
-    window.location.href = `flashcard-manager.html?topic=${currentTopicId}`;
+  function setSessionComplete(complete) {
+    document.getElementById('study-complete').hidden = !complete;
+    document.getElementById('flashcard-container').hidden = complete;
+    document.querySelector('.study-controls').hidden = complete;
+    if (complete) {
+      document.getElementById('typed-answer').style.display = 'none';
+    }
+  }
+
+  function isSessionComplete() {
+    return !document.getElementById('study-complete').hidden;
+  }
+
+  function endStudySession() {
+    window.Flashcards.endSession();
+    window.location.href = getReturnUrl();
   }
 
 
@@ -260,6 +504,21 @@
     }
   }
 
+  function stripMarkdown(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/```\w*\n?([\s\S]*?)```/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\*\*([^*]+)\*\*/g, '$1')
+      .replace(/\*([^*]+)\*/g, '$1')
+      .replace(/__([^_]+)__/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+      .replace(/^[-*+]\s+/gm, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -282,12 +541,51 @@
     const flashcard = document.getElementById('flashcard');
     const isFlipped = flashcard?.classList.contains('flipped');
 
+    // While typing an answer, Enter checks it and every other key is just text
+    if (e.target.id === 'typed-answer-input') {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleFlipCard();
+      }
+      return;
+    }
+
+    // Once the last card is answered, only undo and finishing are left
+    if (isSessionComplete()) {
+      if (e.key === 'u' || ((e.metaKey || e.ctrlKey) && e.key === 'z')) {
+        e.preventDefault();
+        handleUndo();
+      } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+        e.preventDefault();
+        endStudySession();
+      }
+      return;
+    }
+
+    if (e.key === 'Enter' && isFlipped && suggestedQuality !== null) {
+      e.preventDefault();
+      handleAnswer(suggestedQuality);
+      return;
+    }
+
     if (e.key === ' ' || e.key === 'Spacebar') {
       e.preventDefault();
       handleFlipCard();
       return;
     }
 
+    if (e.key === 'u' || ((e.metaKey || e.ctrlKey) && e.key === 'z')) {
+      e.preventDefault();
+      handleUndo();
+      return;
+    }
+
+    if ((e.key === 'b' || e.key === 's') && !e.metaKey && !e.ctrlKey) {
+      e.preventDefault();
+      setCardAside(e.key === 's' ? 'suspend' : 'bury');
+      return;
+    }
+
     if (isFlipped) {
       if (e.key === '1') {
         handleAnswer(1); // Again
@@ -318,7 +616,7 @@
     if (e.key === 'Escape') {
       if (confirm('End study session?')) {
         window.Flashcards.endSession();
-        window.location.href = `flashcard-manager.html?topic=${currentTopicId}`;
+        window.location.href = getReturnUrl();
       }
     }
   });
@@ -328,11 +626,16 @@
     init,
     handleFlipCard,
     handleAnswer,
+    handleUndo,
   };
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([window.Flashcards.ready, domReady]).then(init);
 })();
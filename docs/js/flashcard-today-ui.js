@@ -0,0 +1,159 @@
+(function () {
+  'use strict';
+
+  if (!window.Flashcards) {
+    console.error('Flashcards module not loaded');
+    return;
+  }
+
+  function init() {
+    setupEventListeners();
+    loadLimits();
+    render();
+    initDarkMode();
+  }
+
+  function formatTopicTitle(topicId) {
+    return topicId
+      .replace(/^\d+-/, '')
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  function setupEventListeners() {
+    document.getElementById('back-to-index').addEventListener('click', () => {
+      window.location.href = 'index.html';
+    });
+
+    const darkModeToggle = document.getElementById('dark-mode-toggle');
+    if (darkModeToggle) {
+      darkModeToggle.addEventListener('click', toggleDarkMode);
+    }
+
+    document.getElementById('today-start-btn').addEventListener('click', () => {
+      window.location.href = 'flashcard-study.html?mode=today';
+    });
+    document.getElementById('save-limits-btn').addEventListener('click', saveLimits);
+  }
+
+  function loadLimits() {
+    const settings = window.Flashcards.getSettings();
+    document.getElementById('new-per-day').value = settings.newCardsPerDay;
+    document.getElementById('reviews-per-day').value = settings.reviewsPerDay;
+  }
+
+  function saveLimits() {
+    const newCardsPerDay = parseInt(document.getElementById('new-per-day').value, 10);
+    const reviewsPerDay = parseInt(document.getElementById('reviews-per-day').value, 10);
+
+    if (!(newCardsPerDay >= 0) || !(reviewsPerDay >= 0)) {
+      alert('Limits must be zero or more');
+      return;
+    }
+
+    window.Flashcards.saveSettings({
+      ...window.Flashcards.getSettings(),
+      newCardsPerDay,
+      reviewsPerDay,
+    });
+    render();
+  }
+
+  function render() {
+    window.Flashcards.getTodayQueue().then(queue => {
+      const { limits, topics } = queue;
+      const newQueued = topics.reduce((sum, t) => sum + t.newQueued, 0);
+      const reviewQueued = topics.reduce((sum, t) => sum + t.reviewQueued, 0);
+
+      document.getElementById('today-total').textContent = queue.cards.length;
+      document.getElementById('today-total-label').textContent =
+        queue.cards.length === 1 ? 'card to study today' : 'cards to study today';
+      document.getElementById('today-new-queued').textContent = newQueued;
+      document.getElementById('today-new-done').textContent = limits.newDone;
+      document.getElementById('today-new-limit').textContent = limits.newPerDay;
+      document.getElementById('today-review-queued').textContent = reviewQueued;
+      document.getElementById('today-review-done').textContent = limits.reviewsDone;
+      document.getElementById('today-review-limit').textContent = limits.reviewsPerDay;
+      document.getElementById('today-start-btn').disabled = queue.cards.length === 0;
+
+      renderTopics(topics);
+    });
+  }
+
+  function renderTopics(topics) {
+    const list = document.getElementById('today-topic-list');
+
+    if (topics.length === 0) {
+      list.innerHTML = '<p class="quiz-history-empty">Nothing is due in any topic.</p>';
+      return;
+    }
+
+    list.innerHTML = topics
+      .map(topic => {
+        const waiting =
+          topic.newAvailable - topic.newQueued + (topic.reviewDue - topic.reviewQueued);
+        return `
+        <div class="today-topic-item">
+          <a href="flashcard-manager.html?topic=${topic.topicId}">${formatTopicTitle(topic.topicId)}</a>
+          <span title="New cards today"><i class="fas fa-seedling"></i> ${topic.newQueued}</span>
+          <span title="Reviews today"><i class="fas fa-redo"></i> ${topic.reviewQueued}</span>
+          <span class="today-topic-waiting" title="Due but over today's limits">
+            ${waiting > 0 ? `+${waiting} waiting` : ''}
+          </span>
+        </div>
+      `;
+      })
+      .join('');
+  }
+
+  function initDarkMode() {
+    const savedMode = localStorage.getItem('dark-mode');
+    const darkModeIcon = document.getElementById('dark-mode-icon');
+
+    document.body.classList.toggle('dark-mode', savedMode === 'true');
+    if (darkModeIcon && savedMode === 'true') {
+      darkModeIcon.classList.remove('fa-moon');
+      darkModeIcon.classList.add('fa-sun');
+    }
+  }
+
+  function toggleDarkMode() {
+    const darkModeIcon = document.getElementById('dark-mode-icon');
+    const isDark = document.body.classList.toggle('dark-mode');
+
+    localStorage.setItem('dark-mode', isDark ? 'true' : 'false');
+    if (darkModeIcon) {
+      darkModeIcon.classList.toggle('fa-sun', isDark);
+      darkModeIcon.classList.toggle('fa-moon', !isDark);
+    }
+  }
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Enter' && e.target === document.body) {
+      const startBtn = document.getElementById('today-start-btn');
+      if (!startBtn.disabled) startBtn.click();
+      return;
+    }
+
+    if ((e.metaKey || e.ctrlKey) && e.key === 'd') {
+      e.preventDefault();
+      toggleDarkMode();
+    }
+  });
+
+  window.FlashcardTodayUI = {
+    init,
+    render,
+  };
+
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([window.Flashcards.ready, domReady]).then(init);
+})();
@@ -12,12 +12,14 @@
     currentTopicId = getCurrentPageId();
     setupEventListeners();
     updateDueBadge();
+    updateChapterCards();
+    updateCustomDecks();
   }
 
   function getCurrentPageId() {
     const path = window.location.pathname;
     const filename = path.split('/').pop();
-    return filename.replace('.html', '');
+    return filename.replace('.html', '') || 'index';
   }
 
   function setupEventListeners() {
@@ -57,14 +59,76 @@
     }
   }
 
+  // Landing page chapter cards and the Today link expose data-flashcards-* hooks for their counts
+  function updateChapterCards() {
+    document.querySelectorAll('[data-flashcards-topic]').forEach(el => {
+      const count = el.querySelector('[data-flashcard-count]');
+      if (count) {
+        count.textContent = window.Flashcards.getFlashcards(el.dataset.flashcardsTopic).length;
+      }
+    });
+
+    const todayLink = document.querySelector('[data-flashcards-today] [data-due-count]');
+    if (todayLink) {
+      todayLink.textContent = window.Flashcards.getDueCount();
+    }
+
+    document.querySelectorAll('[data-flashcards-due]').forEach(el => {
+      const dueCount = window.Flashcards.getDueCount(el.dataset.flashcardsDue);
+      const count = el.querySelector('[data-due-count]');
+      if (count) {
+        count.textContent = dueCount;
+      }
+      el.hidden = dueCount === 0;
+    });
+  }
+
+  // Saved filtered decks on the landing page, each linking to a study session
+  function updateCustomDecks() {
+    const section = document.querySelector('[data-custom-decks]');
+    const list = document.querySelector('[data-custom-deck-list]');
+    const decks = window.Flashcards.getCustomDecks();
+    if (!section || !list) return;
+
+    section.hidden = decks.length === 0;
+    list.innerHTML = decks
+      .map(deck => {
+        let count = '';
+        try {
+          count = `${window.Flashcards.findCards(deck.query).length} cards`;
+        } catch (e) {
+          count = 'Invalid query';
+        }
+        return `
+          <a href="flashcard-study.html?deck=${encodeURIComponent(deck.id)}" class="home-deck">
+            <strong>${escapeHtml(deck.name)}</strong>
+            <code>${escapeHtml(deck.query)}</code>
+            <span><i class="fas fa-layer-group"></i> ${count}</span>
+          </a>`;
+      })
+      .join('');
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   window.FlashcardsUI = {
     init,
     openFlashcardManager,
+    updateChapterCards,
+    updateCustomDecks,
   };
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([window.Flashcards.ready, domReady]).then(init);
 })();
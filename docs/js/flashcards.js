@@ -1,28 +1,55 @@
 /**
  * Flashcard System
- * Auto-generates flashcards from markdown content and provides study mode
+ * Auto-generates flashcards from markdown content and provides study mode.
+ * Cards live in the `flashcards` store (see storage.js); reads are served from
+ * an in-memory copy loaded once, so wait for `Flashcards.ready` before reading.
  */
 
 (function () {
   'use strict';
 
-  const STORAGE_KEY = 'theory_test_flashcards';
+  if (!window.StudyStorage || !window.Schedulers || !window.Cloze || !window.DeckQuery) {
+    console.error('StudyStorage, Schedulers, Cloze and DeckQuery modules must load before Flashcards');
+    return;
+  }
+
   const SETTINGS_KEY = 'flashcard_settings';
+  const DAY_MS = 86400000;
+  const REVIEW_STATS_DAYS = 30;
+
+  // Generated questions at least this similar to an existing card's (see
+  // TextDiff.similarity) are offered as possible duplicates
+  const NEAR_DUPLICATE_SIMILARITY = 0.85;
 
   const DEFAULT_SETTINGS = {
     autoGenEnabled: true,
     includeCodeExamples: true,
+    includeOutputCards: true, // "Predict the output" cards, needs code-runner.js
     shuffleCards: true,
+    typeAnswers: false, // Study mode: type each answer before flipping
     confidenceThreshold: 4,
     newCardInterval: 1,
     graduatingInterval: 6,
     easyInterval: 10,
     maxInterval: 365,
     learningSteps: [10, 1440],
+    leechThreshold: 8, // Lapses before a card is flagged as a leech
+    leechAction: 'flag', // 'flag' | 'suspend'
+    burySiblings: true, // Answering a card buries its siblings until tomorrow
+    newCardsPerDay: 20, // Today page: cards seen for the first time, across all topics
+    reviewsPerDay: 200, // Today page: cards already in review, across all topics
+    scheduler: 'sm2', // 'sm2' | 'fsrs', see schedulers.js
+    desiredRetention: 0.9, // FSRS only: target recall probability at review time
     // AI-powered generation settings
     aiEnabled: false,
-    aiProvider: 'groq', // 'groq' | 'gemini' | 'huggingface'
+    aiProvider: 'groq', // 'groq' | 'gemini' | 'huggingface' | 'openai' (any compatible server)
     aiApiKey: '', // Stored encrypted
+    aiBaseUrl: 'http://localhost:8080/v1', // 'openai' only, e.g. llama.cpp; Ollama uses :11434/v1
+    aiModel: '', // 'openai' only; blank lets the server pick
+    aiRequestsPerMinute: 30, // Shared by all AI requests; 0 for no limit
+    aiConcurrency: 2, // Sections generated at once
+    aiPromptTemplateId: 'standard', // A built-in preset or an id from aiPromptTemplates
+    aiPromptTemplates: [], // Your own prompt templates, {id, name, template}
     questionsPerSection: 3,
     questionDiversity: 'high', // 'low' | 'medium' | 'high'
     useAIForGeneration: false, // Toggle between AI and pattern matching
@@ -136,41 +163,53 @@
     }
   }
 
-  function getAllFlashcards() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : { flashcards: {}, stats: {} };
-    } catch (e) {
+  const deck = { flashcards: {}, stats: {} };
+  let customDecks = [];
+  let storage = null;
+
+  const ready = window.StudyStorage.open()
+    .then(adapter => {
+      storage = adapter;
+      return Promise.all([adapter.query('flashcards'), adapter.query('decks')]);
+    })
+    .then(([records, decks]) => {
+      records
+        .sort((a, b) => (a.created || '').localeCompare(b.created || ''))
+        .forEach(card => {
+          deck.flashcards[card.topicId] = deck.flashcards[card.topicId] || [];
+          deck.flashcards[card.topicId].push(card);
+        });
+      customDecks = decks.sort((a, b) => a.name.localeCompare(b.name));
+    })
+    .catch(e => {
       console.error('Error reading flashcards:', e);
-      return { flashcards: {}, stats: {} };
-    }
+    });
+
+  function getAllFlashcards() {
+    return deck;
   }
 
-  function saveAllFlashcards(data) {
-    try {
-      const dataString = JSON.stringify(data);
-      localStorage.setItem(STORAGE_KEY, dataString);
-      return true;
-    } catch (e) {
-      if (e.name === 'QuotaExceededError' || e.code === 22) {
-        console.error('localStorage quota exceeded:', e);
-        const approximateSize = new Blob([JSON.stringify(data)]).size;
-        const sizeInKB = (approximateSize / 1024).toFixed(2);
-        alert(
-          `Storage quota exceeded!\n\n` +
-          `Your flashcards data (~${sizeInKB} KB) exceeds browser storage limits.\n\n` +
-          `Solutions:\n` +
-          `1. Delete some flashcards to free up space\n` +
-          `2. Export your deck and clear old data\n` +
-          `3. Use browser settings to increase storage quota\n\n` +
-          `Tip: Try deleting auto-generated duplicates or old topics.`
-        );
+  // Writes go straight to the card's own record; the cache is already updated
+  function persist(operation) {
+    return ready
+      .then(() => operation(storage))
+      .then(() => true)
+      .catch(e => {
+        if (e && e.name === 'QuotaExceededError') {
+          console.error('Storage quota exceeded:', e);
+          alert(
+            `Storage quota exceeded!\n\n` +
+            `Solutions:\n` +
+            `1. Delete some flashcards to free up space\n` +
+            `2. Export your deck and clear old data\n` +
+            `3. Use browser settings to increase storage quota`
+          );
+          return false;
+        }
+        console.error('Error saving flashcards:', e);
+        alert('Failed to save flashcards. Please try again or check browser console for details.');
         return false;
-      }
-      console.error('Error saving flashcards:', e);
-      alert('Failed to save flashcards. Please try again or check browser console for details.');
-      return false;
-    }
+      });
   }
 
   function getFlashcards(topicId) {
@@ -178,14 +217,24 @@
     return data.flashcards[topicId] || [];
   }
 
+  // Buried cards sit out until the start of the day in buriedUntil
+  function isBuried(card, now = new Date()) {
+    return Boolean(card.buriedUntil) && new Date(card.buriedUntil) > now;
+  }
+
+  // Suspended and buried cards are left out of every study session
+  function isStudyable(card, now = new Date()) {
+    return !card.suspended && !isBuried(card, now);
+  }
+
+  function isDue(card, now = new Date()) {
+    if (!isStudyable(card, now)) return false;
+    return !card.nextReviewDate || new Date(card.nextReviewDate) <= now;
+  }
+
   function getDueCards(topicId) {
-    const cards = getFlashcards(topicId);
     const now = new Date();
-    return cards.filter(card => {
-      if (!card.nextReviewDate) return true;
-      const dueDate = new Date(card.nextReviewDate);
-      return dueDate <= now;
-    });
+    return getFlashcards(topicId).filter(card => isDue(card, now));
   }
 
   function getDueCount(topicId) {
@@ -207,6 +256,7 @@
     }
 
     card.id = card.id || generateId();
+    card.topicId = topicId;
     card.created = card.created || new Date().toISOString();
     card.confidence = card.confidence || CONFIDENCE.UNKNOWN;
     card.reviewCount = card.reviewCount || 0;
@@ -219,7 +269,7 @@
     card.stepIndex = card.stepIndex || 0;
 
     data.flashcards[topicId].push(card);
-    saveAllFlashcards(data);
+    persist(adapter => adapter.put('flashcards', card));
     return card;
   }
 
@@ -230,8 +280,9 @@
 
     if (index !== -1) {
       cards[index] = { ...cards[index], ...updates };
-      saveAllFlashcards(data);
-      return cards[index];
+      const card = cards[index];
+      persist(adapter => adapter.put('flashcards', card));
+      return card;
     }
     return null;
   }
@@ -240,83 +291,152 @@
     const data = getAllFlashcards();
     const cards = data.flashcards[topicId] || [];
     data.flashcards[topicId] = cards.filter(c => c.id !== cardId);
-    saveAllFlashcards(data);
+    persist(adapter => adapter.delete('flashcards', cardId));
     return true;
   }
 
-  function generateId() {
-    return 'fc-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  /**
+   * Create or update the sibling cards of a cloze note (see cloze.js). A
+   * sibling whose cloze number survives an edit keeps its review history;
+   * numbers removed from the text delete their card.
+   * @param {string} topicId
+   * @param {object} note - { text, extra?, noteId?, source?, type?, tags? }
+   * @returns {Array} The note's cards, one per cloze number
+   */
+  function saveClozeNote(topicId, note) {
+    const noteId = note.noteId || generateId('cz');
+    const extra = note.extra || '';
+    const existing = getFlashcards(topicId).filter(c => c.noteId === noteId);
+    const siblings = window.Cloze.buildCards(note.text, extra);
+
+    existing
+      .filter(card => !siblings.some(s => s.clozeIndex === card.clozeIndex))
+      .forEach(card => deleteFlashcard(topicId, card.id));
+
+    return siblings.map(sibling => {
+      const fields = {
+        ...sibling,
+        format: 'cloze',
+        noteId,
+        clozeText: note.text,
+        extra,
+        tags: note.tags || [],
+      };
+      const card = existing.find(c => c.clozeIndex === sibling.clozeIndex);
+      if (card) {
+        return updateFlashcard(topicId, card.id, fields);
+      }
+      return saveFlashcard(topicId, {
+        ...fields,
+        source: note.source || 'manual',
+        type: note.type || 'manual',
+      });
+    });
+  }
+
+  /**
+   * Cards made from the same source: the other cards of a cloze note, or
+   * cards generated under the same heading of the same topic.
+   * @param {object} card
+   * @returns {Array}
+   */
+  function getSiblings(card) {
+    const path = (card.headingPath || []).join('\n');
+    return getFlashcards(card.topicId).filter(
+      other =>
+        other.id !== card.id &&
+        ((card.noteId && other.noteId === card.noteId) ||
+          (path && (other.headingPath || []).join('\n') === path))
+    );
   }
 
-  function calculateSM2(card, quality) {
-    const settings = getSettings();
+  /**
+   * Suspend a card, keeping it out of study until unsuspended, or lift that.
+   * @returns {object|null} The updated card
+   */
+  function suspendCard(topicId, cardId, suspended = true) {
+    return updateFlashcard(topicId, cardId, { suspended });
+  }
+
+  function getTomorrow() {
     const now = new Date();
-    const newCard = { ...card };
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).toISOString();
+  }
 
-    if (quality < 3) {
-      newCard.repetitions = 0;
-      newCard.stepIndex = 0;
-      newCard.isNew = false;
+  /**
+   * Keep a card out of study until tomorrow, or bring it back now.
+   * @returns {object|null} The updated card
+   */
+  function buryCard(topicId, cardId, buried = true) {
+    return updateFlashcard(topicId, cardId, { buriedUntil: buried ? getTomorrow() : null });
+  }
 
-      const stepMinutes = settings.learningSteps[0] || 10;
-      newCard.interval = stepMinutes / 1440;
-      newCard.nextReviewDate = new Date(now.getTime() + stepMinutes * 60000).toISOString();
-    } else {
-      if (newCard.isNew || newCard.repetitions === 0) {
-        newCard.isNew = false;
-        newCard.stepIndex++;
-
-        if (newCard.stepIndex < settings.learningSteps.length) {
-          const stepMinutes = settings.learningSteps[newCard.stepIndex];
-          newCard.interval = stepMinutes / 1440;
-          newCard.nextReviewDate = new Date(now.getTime() + stepMinutes * 60000).toISOString();
-        } else {
-          newCard.repetitions = 1;
-          newCard.interval = settings.graduatingInterval;
-          newCard.nextReviewDate = new Date(
-            now.getTime() + newCard.interval * 86400000
-          ).toISOString();
-        }
-      } else {
-        newCard.repetitions++;
+  // Bury a card's studyable siblings, returning what to restore on undo
+  function burySiblings(card) {
+    const buriedUntil = getTomorrow();
+    return getSiblings(card)
+      .filter(sibling => isStudyable(sibling))
+      .map(sibling => {
+        updateFlashcard(sibling.topicId, sibling.id, { buriedUntil });
+        return { id: sibling.id, topicId: sibling.topicId, buriedUntil: sibling.buriedUntil || null };
+      });
+  }
 
-        newCard.easinessFactor = Math.max(
-          1.3,
-          newCard.easinessFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
-        );
+  function generateId(prefix = 'fc') {
+    return prefix + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
 
-        if (newCard.repetitions === 1) {
-          newCard.interval = settings.newCardInterval;
-        } else if (newCard.repetitions === 2) {
-          newCard.interval = settings.graduatingInterval;
-        } else {
-          let multiplier = newCard.easinessFactor;
-          if (quality === 5) {
-            multiplier *= 1.3;
-          } else if (quality === 3) {
-            multiplier *= 1.2;
-          }
-          newCard.interval = Math.round(newCard.interval * multiplier);
+  /**
+   * Switch schedulers. Moving to FSRS seeds memory state for every reviewed
+   * card from its SM-2 history, so existing intervals carry over.
+   * @param {string} schedulerId - 'sm2' or 'fsrs'
+   * @returns {Promise<number>} Number of cards seeded
+   */
+  function setScheduler(schedulerId) {
+    saveSettings({ ...getSettings(), scheduler: schedulerId });
+
+    const scheduler = window.Schedulers.get(schedulerId);
+    if (!scheduler.seedState) return Promise.resolve(0);
+
+    const seeded = [];
+    const now = new Date();
+    Object.values(getAllFlashcards().flashcards).forEach(cards => {
+      cards.forEach(card => {
+        if (card.fsrs) return;
+        const state = scheduler.seedState(card, now);
+        if (state) {
+          card.fsrs = state;
+          seeded.push(card);
         }
+      });
+    });
 
-        newCard.interval = Math.min(newCard.interval, settings.maxInterval);
-        newCard.nextReviewDate = new Date(
-          now.getTime() + newCard.interval * 86400000
-        ).toISOString();
-      }
-    }
+    if (seeded.length === 0) return Promise.resolve(0);
 
-    return newCard;
+    return persist(adapter =>
+      adapter.transaction(['flashcards'], tx =>
+        Promise.all(seeded.map(card => tx.put('flashcards', card)))
+      )
+    ).then(() => seeded.length);
   }
 
-  function isValidCard(card) {
-    if (!card.question || !card.answer) return false;
+  /**
+   * Why a card is not worth keeping, or null if it is fine. Used for
+   * generated cards, which are dropped when this returns a reason.
+   * @param {object} card
+   * @returns {string|null}
+   */
+  function getInvalidCardReason(card) {
+    if (!card.question) return 'missing question';
+    if (!card.answer) return 'missing answer';
 
     const qLen = card.question.trim().length;
     const aLen = card.answer.trim().length;
 
-    if (qLen < 5 || qLen > 500) return false; // Increased from 300 to 500 for complex questions
-    if (aLen < 20 || aLen > 1500) return false; // Increased from 500 to 1500 for detailed answers
+    if (qLen < 5) return 'question is too short';
+    if (qLen > 500) return 'question is too long'; // Increased from 300 to 500 for complex questions
+    if (aLen < 20) return 'answer is too short';
+    if (aLen > 1500) return 'answer is too long'; // Increased from 500 to 1500 for detailed answers
 
     const badPatterns = [
       /^(table of contents|toc|summary|overview|navigation|resources|references)$/i,
@@ -326,10 +446,14 @@
       /^[-*+]\s*$/,
     ];
 
-    if (badPatterns.some(p => p.test(card.question.trim()))) return false;
-    if (badPatterns.some(p => p.test(card.answer.trim()))) return false;
+    if (badPatterns.some(p => p.test(card.question.trim()))) return 'question is only a fragment';
+    if (badPatterns.some(p => p.test(card.answer.trim()))) return 'answer is only a fragment';
 
-    return true;
+    return null;
+  }
+
+  function isValidCard(card) {
+    return !getInvalidCardReason(card);
   }
 
   function hasPartialMarkdown(text) {
@@ -436,10 +560,10 @@
     return false;
   }
 
-  function parseMarkdownForFlashcards(markdown, topicTitle) {
+  function parseMarkdownForFlashcards(markdown, topicId) {
     const cards = [];
 
-    cards.push(...extractFromHeadings(markdown, topicTitle));
+    cards.push(...extractFromHeadings(markdown));
     cards.push(...extractBoldDefinitions(markdown));
     cards.push(...extractFromLists(markdown));
 
@@ -447,12 +571,41 @@
       cards.push(...extractCodeExamples(markdown));
     }
 
-    return deduplicateCards(cards.filter(isValidCard));
+    return linkToSource(deduplicateCards(cards.filter(isValidCard)), markdown, topicId);
+  }
+
+  /**
+   * The headings in effect at each line, e.g. a line under "## Common Issues"
+   * and "### 1. Loop Closure Problem" gets both. The chapter title is left
+   * out, and headings inside fenced code are ignored.
+   */
+  function getHeadingPaths(lines) {
+    const paths = [];
+    let path = [];
+    let inFence = false;
+
+    lines.forEach(line => {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+      }
+      const match = !inFence && line.match(/^(#{2,4})\s+(.+)$/);
+      if (match) {
+        path = [...path.slice(0, match[1].length - 2), match[2].trim()];
+      }
+      paths.push(path);
+    });
+
+    return paths;
+  }
+
+  function getLineNumber(markdown, offset) {
+    return markdown.slice(0, offset).split('\n').length - 1;
   }
 
   function extractFromHeadings(markdown) {
     const cards = [];
     const lines = markdown.split('\n');
+    const headingPaths = getHeadingPaths(lines);
     let i = 0;
 
     while (i < lines.length) {
@@ -472,6 +625,7 @@
           continue;
         }
 
+        const headingPath = headingPaths[i];
         const content = [];
         i++;
 
@@ -512,6 +666,7 @@
             source: 'auto',
             type: 'heading',
             level: level,
+            headingPath,
           });
         }
       } else {
@@ -524,6 +679,7 @@
 
   function extractBoldDefinitions(markdown) {
     const cards = [];
+    const headingPaths = getHeadingPaths(markdown.split('\n'));
     const definitionPattern = /\*\*([^*:]+)\*\*\s*:\s*([^\n]+)/g;
     let match;
 
@@ -537,6 +693,7 @@
           answer: definition,
           source: 'auto',
           type: 'definition',
+          headingPath: headingPaths[getLineNumber(markdown, match.index)],
         });
       }
     }
@@ -547,6 +704,7 @@
   function extractFromLists(markdown) {
     const cards = [];
     const lines = markdown.split('\n');
+    const headingPaths = getHeadingPaths(lines);
     let currentContext = '';
 
     for (let i = 0; i < lines.length; i++) {
@@ -602,6 +760,7 @@
             source: 'auto',
             type: 'list',
             context: currentContext,
+            headingPath: headingPaths[i],
           });
         }
       }
@@ -613,6 +772,7 @@
   function extractCodeExamples(markdown) {
     const cards = [];
     const lines = markdown.split('\n');
+    const headingPaths = getHeadingPaths(lines);
     let i = 0;
 
     while (i < lines.length) {
@@ -721,6 +881,7 @@
           source: 'auto',
           type: 'code',
           language: language || 'plaintext',
+          headingPath: headingPaths[codeStartIndex],
         });
       }
       i++;
@@ -729,12 +890,117 @@
     return cards;
   }
 
+  // Output that a snippet may print before it counts as a sensible card
+  const MAX_OUTPUT_LINES = 20;
+  const MAX_OUTPUT_LENGTH = 500;
+
+  /**
+   * Remove comments that give the output away: "// Output:" blocks and notes
+   * after console calls, e.g. `console.log(x); // 42`.
+   */
+  function hideOutputComments(code) {
+    const kept = [];
+    let inOutputBlock = false;
+
+    code.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (/^\/\/\s*(output|logs?|prints?|result)\b[^:]*:/i.test(trimmed)) {
+        inOutputBlock = true;
+        return;
+      }
+      if (inOutputBlock && trimmed.startsWith('//')) return;
+
+      inOutputBlock = false;
+      kept.push(/console\.\w+\(/.test(line) ? line.replace(/(\)\s*;?)\s*\/\/.*$/, '$1') : line);
+    });
+
+    return kept
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function extractOutputSnippets(markdown) {
+    const snippets = [];
+    const headingPaths = getHeadingPaths(markdown.split('\n'));
+    const blockPattern = /^```(javascript|js)[ \t]*\n([\s\S]*?)^```/gm;
+    let match;
+
+    while ((match = blockPattern.exec(markdown)) !== null) {
+      const code = match[2].trim();
+      if (!/console\.\w+\(/.test(code) || code.length > 1000) continue;
+
+      const before = markdown.slice(0, match.index).match(/^#{2,4}\s+(.+)$/gm);
+      const heading = before ? before[before.length - 1].replace(/^#{2,4}\s+/, '').trim() : '';
+      snippets.push({
+        code: hideOutputComments(code),
+        heading,
+        headingPath: headingPaths[getLineNumber(markdown, match.index)],
+      });
+    }
+
+    return snippets;
+  }
+
+  /**
+   * Build "predict the output" cards from a chapter's JavaScript examples.
+   * Each snippet is run in a sandboxed worker (see code-runner.js) one after
+   * another; only snippets that finish without errors and log something
+   * become cards, with the real output as the expected answer.
+   * @param {string} markdown
+   * @param {string} topicId
+   * @returns {Promise<Array>} Cards, empty when code-runner.js is not loaded
+   */
+  function generateOutputCards(markdown, topicId) {
+    if (!window.CodeRunner || !getSettings().includeOutputCards) {
+      return Promise.resolve([]);
+    }
+
+    const cards = [];
+    return extractOutputSnippets(markdown)
+      .reduce(
+        (previous, snippet) =>
+          previous
+            .then(() => window.CodeRunner.run(snippet.code))
+            .then(result => {
+              const output = result.output.join('\n');
+              if (
+                result.timedOut ||
+                result.errors.length > 0 ||
+                result.output.length === 0 ||
+                result.output.length > MAX_OUTPUT_LINES ||
+                output.length > MAX_OUTPUT_LENGTH
+              ) {
+                return;
+              }
+
+              const title = snippet.heading ? ` (${snippet.heading})` : '';
+              cards.push({
+                question: `What does this code log?${title}\n\n\`\`\`javascript\n${snippet.code}\n\`\`\``,
+                answer: `\`\`\`\n${output}\n\`\`\``,
+                expectedOutput: output,
+                format: 'output',
+                source: 'auto',
+                type: 'output',
+                language: 'javascript',
+                headingPath: snippet.headingPath,
+              });
+            }),
+        Promise.resolve()
+      )
+      .then(() => linkToSource(deduplicateCards(cards), markdown, topicId));
+  }
+
+  function normalizeQuestion(question) {
+    return question.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
   function deduplicateCards(cards) {
     const seen = new Set();
     const unique = [];
 
     for (const card of cards) {
-      const normalized = card.question.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const normalized = normalizeQuestion(card.question);
 
       if (!seen.has(normalized)) {
         seen.add(normalized);
@@ -745,16 +1011,330 @@
     return unique;
   }
 
+  // The existing card whose question reads most like this one, if any is close
+  function findNearDuplicate(card, existingCards) {
+    if (!window.TextDiff) return null;
+
+    let best = null;
+    existingCards.forEach(existing => {
+      // Similarity can't beat 2 * shorter / total, so skip hopeless pairs cheaply
+      const a = card.question.length;
+      const b = existing.question.length;
+      if ((2 * Math.min(a, b)) / (a + b) < NEAR_DUPLICATE_SIMILARITY) return;
+
+      const similarity = window.TextDiff.similarity(existing.question, card.question);
+      if (similarity >= NEAR_DUPLICATE_SIMILARITY && (!best || similarity > best.similarity)) {
+        best = { card: existing, similarity };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Compare freshly generated cards with a topic's deck, so generation can be
+   * re-run without piling up copies. Each row has a status:
+   *   new        nothing in the deck asks this
+   *   unchanged  an existing card asks the same question with the same answer
+   *   changed    an existing card asks the same question, but the answer or
+   *              the source section (see linkToSource) has changed
+   *   duplicate  an existing card asks a very similar question; needs
+   *              text-diff.js, otherwise such cards count as new
+   * @param {string} topicId
+   * @param {Array} cards - Output of the generators
+   * @returns {Array<{status: string, card: object, existing?: object, similarity?: number}>}
+   */
+  function diffGeneratedCards(topicId, cards) {
+    const existingCards = getFlashcards(topicId).filter(c => c.format !== 'cloze');
+    const byQuestion = new Map(existingCards.map(c => [normalizeQuestion(c.question), c]));
+
+    return cards.map(card => {
+      const existing = byQuestion.get(normalizeQuestion(card.question));
+      if (existing) {
+        const oldHash = existing.sourceSection && existing.sourceSection.hash;
+        const newHash = card.sourceSection && card.sourceSection.hash;
+        const sameAnswer = existing.answer.trim() === card.answer.trim();
+        const sameSource = !oldHash || !newHash || oldHash === newHash;
+        return { status: sameAnswer && sameSource ? 'unchanged' : 'changed', card, existing };
+      }
+
+      const near = findNearDuplicate(card, existingCards);
+      if (near) {
+        return { status: 'duplicate', card, existing: near.card, similarity: near.similarity };
+      }
+      return { status: 'new', card };
+    });
+  }
+
+  /**
+   * Apply the chosen rows of diffGeneratedCards: new cards and accepted
+   * duplicates are added, changed cards are rewritten in place so they keep
+   * their schedule and review history. Unchanged rows are ignored.
+   * @param {string} topicId
+   * @param {Array} rows
+   * @returns {{added: number, updated: number}}
+   */
+  function applyGeneratedDiff(topicId, rows) {
+    const result = { added: 0, updated: 0 };
+
+    rows.forEach(({ status, card, existing }) => {
+      if (status === 'new' || status === 'duplicate') {
+        saveFlashcard(topicId, { ...card });
+        result.added++;
+      } else if (status === 'changed') {
+        const updates = {
+          question: card.question,
+          answer: card.answer,
+          headingPath: card.headingPath,
+          sourceSection: card.sourceSection,
+        };
+        if (card.expectedOutput !== undefined) {
+          updates.expectedOutput = card.expectedOutput;
+        }
+        updateFlashcard(topicId, existing.id, updates);
+        result.updated++;
+      }
+    });
+
+    return result;
+  }
+
+  // Same ids as the headings on built pages (see slugify in build.js)
+  function getHeadingId(heading) {
+    return heading
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, '')
+      .replace(/[\s_]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // FNV-1a, enough to notice that a section's text has changed
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Split a chapter into one section per h2-h4 heading, keyed by heading path
+   * (see getHeadingPaths) joined with newlines. Text before the first heading
+   * is keyed ''. Whitespace-only edits leave a section's hash unchanged.
+   * @param {string} markdown
+   * @returns {Map<string, {headingId: string|null, hash: string}>}
+   */
+  function getSourceSections(markdown) {
+    const sections = [];
+    let current = { path: [], headingId: null, lines: [] };
+    let inFence = false;
+    sections.push(current);
+
+    markdown.split('\n').forEach(line => {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+      }
+      const match = !inFence && line.match(/^(#{2,4})\s+(.+)$/);
+      if (match) {
+        const heading = match[2].trim();
+        const path = [...current.path.slice(0, match[1].length - 2), heading];
+        current = { path, headingId: getHeadingId(heading), lines: [] };
+        sections.push(current);
+      } else {
+        current.lines.push(line.trimEnd());
+      }
+    });
+
+    const byPath = new Map();
+    sections.forEach(section => {
+      const key = section.path.join('\n');
+      if (!byPath.has(key)) {
+        const text = section.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        byPath.set(key, { headingId: section.headingId, hash: hashText(text) });
+      }
+    });
+    return byPath;
+  }
+
+  /**
+   * Record where generated cards came from: the chapter page, the heading's
+   * anchor on it and a hash of the section text. Cards without a matching
+   * section are returned unchanged.
+   * @param {Array} cards - Cards with a headingPath
+   * @param {string} markdown - The chapter they were generated from
+   * @param {string} topicId
+   * @returns {Array} Copies of the cards with `sourceSection` set
+   */
+  function linkToSource(cards, markdown, topicId) {
+    const sections = getSourceSections(markdown);
+
+    return cards.map(card => {
+      const section = sections.get((card.headingPath || []).join('\n'));
+      if (!section) return card;
+      return {
+        ...card,
+        sourceSection: { page: `${topicId}.html`, headingId: section.headingId, hash: section.hash },
+      };
+    });
+  }
+
+  /**
+   * Link to the part of the guide a card was generated from.
+   * @param {object} card
+   * @returns {string|null} e.g. "04-closures.html#loop-closure-problem"
+   */
+  function getSourceUrl(card) {
+    const source = card.sourceSection;
+    if (!source) return null;
+    return source.headingId ? `${source.page}#${source.headingId}` : source.page;
+  }
+
+  /**
+   * Cards whose source section has been edited or removed since they were
+   * generated. Cards without a recorded source are never stale.
+   * @param {string} topicId
+   * @param {string} markdown - The chapter as it is now
+   * @returns {Array<{card: object, status: 'changed'|'removed'}>}
+   */
+  function getStaleCards(topicId, markdown) {
+    const sections = getSourceSections(markdown);
+
+    return getFlashcards(topicId)
+      .filter(card => card.sourceSection)
+      .map(card => {
+        const section = sections.get((card.headingPath || []).join('\n'));
+        if (!section) return { card, status: 'removed' };
+        return section.hash === card.sourceSection.hash ? null : { card, status: 'changed' };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Keep a stale card as it is: it is linked to its section's current text,
+   * or unlinked if the section is gone.
+   * @param {string} topicId
+   * @param {string} cardId
+   * @param {string} markdown - The chapter as it is now
+   * @returns {object|null} The updated card
+   */
+  function keepStaleCard(topicId, cardId, markdown) {
+    const card = getFlashcards(topicId).find(c => c.id === cardId);
+    if (!card) return null;
+
+    const [linked] = linkToSource([{ ...card, sourceSection: null }], markdown, topicId);
+    return updateFlashcard(topicId, cardId, { sourceSection: linked.sourceSection });
+  }
+
+  /**
+   * A card's tags: one per heading it was generated under (see
+   * getHeadingPaths), plus any added by hand.
+   * @param {object} card
+   * @returns {string[]}
+   */
+  function getCardTags(card) {
+    const tags = [...(card.headingPath || []).map(window.DeckQuery.toTag), ...(card.tags || [])];
+    return [...new Set(tags.filter(Boolean))];
+  }
+
+  /**
+   * Every tag in use and how many cards carry it, most used first.
+   * @param {string} [topicId] - Limit to one topic
+   * @returns {Array<{tag: string, count: number}>}
+   */
+  function getAllTags(topicId = null) {
+    const counts = new Map();
+    getCards(topicId).forEach(card => {
+      getCardTags(card).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
+  }
+
+  // One topic's cards, or every topic's when topicId is null
+  function getCards(topicId) {
+    if (topicId) return [...getFlashcards(topicId)];
+    return [].concat(...Object.values(getAllFlashcards().flashcards));
+  }
+
+  /**
+   * Cards from any topic that match a deck query (see deck-query.js).
+   * @param {string} query - e.g. "tag:pitfalls due:today confidence<3"
+   * @param {string} [topicId] - Limit to one topic
+   * @returns {Array}
+   * @throws {Error} If the query is invalid
+   */
+  function findCards(query, topicId = null) {
+    const parsed = window.DeckQuery.parse(query);
+    const now = new Date();
+    return getCards(topicId).filter(card =>
+      window.DeckQuery.matches(card, parsed, { tags: getCardTags(card), now })
+    );
+  }
+
+  function getCustomDecks() {
+    return customDecks;
+  }
+
+  function getCustomDeck(deckId) {
+    return customDecks.find(d => d.id === deckId) || null;
+  }
+
+  /**
+   * Create or rename a saved filtered deck.
+   * @param {object} deckData - { name, query, id? }
+   * @returns {object} The saved deck
+   * @throws {Error} If the query is invalid
+   */
+  function saveCustomDeck(deckData) {
+    window.DeckQuery.parse(deckData.query);
+
+    const existing = deckData.id ? getCustomDeck(deckData.id) : null;
+    const saved = {
+      ...existing,
+      id: deckData.id || generateId('dk'),
+      name: deckData.name.trim(),
+      query: deckData.query.trim(),
+      created: existing ? existing.created : new Date().toISOString(),
+    };
+
+    customDecks = [...customDecks.filter(d => d.id !== saved.id), saved].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+    persist(adapter => adapter.put('decks', saved));
+    return saved;
+  }
+
+  function deleteCustomDeck(deckId) {
+    customDecks = customDecks.filter(d => d.id !== deckId);
+    persist(adapter => adapter.delete('decks', deckId));
+    return true;
+  }
+
   let currentSession = null;
 
+  /**
+   * @param {string|null} topicId - Topic to study, or null for every topic
+   * @param {object} [options]
+   * @param {string} [options.mode] - 'all' or 'due'
+   * @param {string} [options.query] - Deck query the cards must match
+   * @param {string[]} [options.cardIds] - Only these cards
+   * @param {boolean} [options.shuffle]
+   * @returns {object|null} The session, or null if no cards qualify
+   */
   function startStudySession(topicId, options = {}) {
     const mode = options.mode || 'all';
-    let sessionCards;
+    const now = new Date();
+    let sessionCards = options.query ? findCards(options.query, topicId) : getCards(topicId);
 
-    if (mode === 'due') {
-      sessionCards = getDueCards(topicId);
+    if (options.cardIds) {
+      // Cards picked by hand are studied even if suspended or buried
+      sessionCards = sessionCards.filter(card => options.cardIds.includes(card.id));
+    } else if (mode === 'due') {
+      sessionCards = sessionCards.filter(card => isDue(card, now));
     } else {
-      sessionCards = [...getFlashcards(topicId)];
+      sessionCards = sessionCards.filter(card => isStudyable(card, now));
     }
 
     if (sessionCards.length === 0) {
@@ -771,19 +1351,136 @@
       sessionCards = shuffleArray(sessionCards);
     }
 
+    return createSession(topicId, sessionCards);
+  }
+
+  function createSession(topicId, cards) {
     currentSession = {
       topicId,
-      cards: sessionCards,
+      cards,
       currentIndex: 0,
       correct: 0,
       review: 0,
       startTime: new Date(),
+      cardShownAt: Date.now(),
       isFlipped: false,
+      undoStack: [],
     };
 
     return currentSession;
   }
 
+  // How far past due a card is, relative to its interval: a week late on a
+  // 3-day interval is more urgent than a week late on a 3-month one
+  function getOverdueness(card, now) {
+    const due = card.nextReviewDate ? new Date(card.nextReviewDate) : now;
+    return (now - due) / DAY_MS / Math.max(card.interval || 0, 1);
+  }
+
+  // Keep the given order, but avoid two cards in a row from the same topic
+  // whenever another topic still has cards waiting
+  function interleaveTopics(cards) {
+    const remaining = [...cards];
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      const previous = ordered[ordered.length - 1];
+      let index = previous ? remaining.findIndex(c => c.topicId !== previous.topicId) : 0;
+      if (index === -1) index = 0;
+      ordered.push(remaining.splice(index, 1)[0]);
+    }
+
+    return ordered;
+  }
+
+  // Spread new cards evenly through the reviews
+  function mixNewCards(reviews, newCards) {
+    const mixed = [...reviews];
+    newCards.forEach((card, i) => {
+      const position = Math.round(((i + 1) * reviews.length) / (newCards.length + 1)) + i;
+      mixed.splice(position, 0, card);
+    });
+    return mixed;
+  }
+
+  /**
+   * Today's work across every topic: due reviews, most overdue first, and
+   * unseen cards, within what is left of the daily limits after the answers
+   * already given today. A card counts once against a limit however many
+   * times it is answered.
+   * @returns {Promise<object>} { cards, topics, limits }
+   *   cards   the queue, topics interleaved
+   *   topics  per topic: { topicId, newQueued, reviewQueued, newAvailable, reviewDue }
+   *   limits  { newPerDay, reviewsPerDay, newDone, reviewsDone, newLeft, reviewsLeft }
+   */
+  function getTodayQueue() {
+    const settings = getSettings();
+
+    return getReviewLog().then(entries => {
+      const now = new Date();
+      const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+      const today = entries.filter(e => Date.parse(e.timestamp) >= dayStart);
+      // A review with no previous one is the card's first
+      const introduced = new Set(today.filter(e => e.elapsedDays === null).map(e => e.cardId));
+      const reviewed = new Set(today.map(e => e.cardId).filter(id => !introduced.has(id)));
+
+      const newLeft = Math.max(0, settings.newCardsPerDay - introduced.size);
+      const reviewsLeft = Math.max(0, settings.reviewsPerDay - reviewed.size);
+
+      const topicIds = Object.keys(getAllFlashcards().flashcards).sort();
+      const due = getCards(null).filter(card => isDue(card, now));
+      const unseen = due.filter(card => !card.lastReviewed);
+      const reviews = due
+        .filter(card => card.lastReviewed)
+        .sort((a, b) => getOverdueness(b, now) - getOverdueness(a, now))
+        .slice(0, reviewsLeft);
+
+      // New cards in chapter order, one topic at a time in turn
+      const newByTopic = topicIds.map(topicId => unseen.filter(c => c.topicId === topicId));
+      const rounds = Math.max(0, ...newByTopic.map(queue => queue.length));
+      let newCards = [];
+      for (let round = 0; round < rounds; round++) {
+        newByTopic.forEach(queue => {
+          if (queue[round]) newCards.push(queue[round]);
+        });
+      }
+      newCards = newCards.slice(0, newLeft);
+
+      const topics = topicIds
+        .map(topicId => ({
+          topicId,
+          newQueued: newCards.filter(c => c.topicId === topicId).length,
+          reviewQueued: reviews.filter(c => c.topicId === topicId).length,
+          newAvailable: unseen.filter(c => c.topicId === topicId).length,
+          reviewDue: due.filter(c => c.topicId === topicId && c.lastReviewed).length,
+        }))
+        .filter(topic => topic.newAvailable + topic.reviewDue > 0);
+
+      return {
+        cards: mixNewCards(interleaveTopics(reviews), newCards),
+        topics,
+        limits: {
+          newPerDay: settings.newCardsPerDay,
+          reviewsPerDay: settings.reviewsPerDay,
+          newDone: introduced.size,
+          reviewsDone: reviewed.size,
+          newLeft,
+          reviewsLeft,
+        },
+      };
+    });
+  }
+
+  /**
+   * Study today's queue (see getTodayQueue) in its own order.
+   * @returns {Promise<object|null>} The session, or null if nothing is left today
+   */
+  function startTodaySession() {
+    return getTodayQueue().then(queue =>
+      queue.cards.length > 0 ? createSession(null, queue.cards) : null
+    );
+  }
+
   function getCurrentCard() {
     if (!currentSession || currentSession.currentIndex >= currentSession.cards.length) {
       return null;
@@ -810,30 +1507,54 @@
       quality = rating;
     }
 
-    card.reviewCount = (card.reviewCount || 0) + 1;
-    card.lastReviewed = new Date().toISOString();
+    const reviewId = generateId('rv');
+    const snapshot = { ...card };
 
-    const updatedCard = calculateSM2(card, quality);
+    // Filtered decks mix topics, so go by the card's own topic
+    const updatedCard = applyReview(card.topicId || currentSession.topicId, card, quality, {
+      id: reviewId,
+      answerTimeMs: Date.now() - currentSession.cardShownAt,
+      mode: 'study',
+    });
+
+    // Siblings still waiting in this session are dropped along with being buried
+    const buried = getSettings().burySiblings ? burySiblings(updatedCard) : [];
+    const buriedIds = new Set(buried.map(b => b.id));
+    const removed = [];
+    currentSession.cards = currentSession.cards.filter((c, i) => {
+      if (i > currentSession.currentIndex && buriedIds.has(c.id)) {
+        removed.push({ card: c, index: i });
+        return false;
+      }
+      return true;
+    });
+
+    currentSession.undoStack.push({
+      snapshot,
+      index: currentSession.currentIndex,
+      correct: quality >= 3,
+      reviewId,
+      buried,
+      removed,
+    });
 
     if (quality >= 3) {
-      card.correctCount = (card.correctCount || 0) + 1;
-      updatedCard.confidence = Math.min((card.confidence || 0) + 1, CONFIDENCE.MASTERED);
       currentSession.correct++;
     } else {
-      updatedCard.confidence = Math.max((card.confidence || 0) - 1, CONFIDENCE.UNKNOWN);
       currentSession.review++;
     }
 
     Object.assign(card, updatedCard);
-    updateFlashcard(currentSession.topicId, card.id, card);
 
     currentSession.currentIndex++;
     currentSession.isFlipped = false;
+    currentSession.cardShownAt = Date.now();
 
     return {
       isComplete: currentSession.currentIndex >= currentSession.cards.length,
       stats: getSessionStats(),
       rating: quality,
+      becameLeech: Boolean(updatedCard.leech && !snapshot.leech),
     };
   }
 
@@ -841,9 +1562,224 @@
     if (currentSession) {
       currentSession.currentIndex++;
       currentSession.isFlipped = false;
+      currentSession.cardShownAt = Date.now();
     }
   }
 
+  /**
+   * Schedule a card after an answer, log the review and save the card.
+   * @param {string} topicId
+   * @param {object} card
+   * @param {number} quality - SM-2 0-5 rating
+   * @param {object} review - Extra review log fields: id, answerTimeMs, mode
+   * @returns {object} The updated card
+   */
+  function applyReview(topicId, card, quality, review = {}) {
+    const settings = getSettings();
+    const scheduler = window.Schedulers.get(settings.scheduler);
+    const now = new Date();
+
+    // Schedule before stamping lastReviewed: FSRS measures time since the previous review
+    const updatedCard = scheduler.schedule(card, quality, settings, now);
+    updatedCard.reviewCount = (card.reviewCount || 0) + 1;
+    updatedCard.lastReviewed = now.toISOString();
+
+    logReview({
+      id: review.id || generateId('rv'),
+      cardId: card.id,
+      topicId,
+      timestamp: now.toISOString(),
+      rating: quality,
+      answerTimeMs: review.answerTimeMs === undefined ? null : review.answerTimeMs,
+      mode: review.mode || 'study',
+      elapsedDays: card.lastReviewed ? (now - new Date(card.lastReviewed)) / DAY_MS : null,
+      scheduler: scheduler.id,
+      previousInterval: card.interval || 0,
+      interval: updatedCard.interval,
+      previousState: scheduler.getState(card),
+      state: scheduler.getState(updatedCard),
+    });
+
+    if (quality >= 3) {
+      updatedCard.correctCount = (card.correctCount || 0) + 1;
+      updatedCard.confidence = Math.min((card.confidence || 0) + 1, CONFIDENCE.MASTERED);
+    } else {
+      updatedCard.confidence = Math.max((card.confidence || 0) - 1, CONFIDENCE.UNKNOWN);
+    }
+
+    // Forgetting (Again) a card whose interval had reached a day is a lapse;
+    // Hard is still a recall. Cards that keep lapsing are leeches, usually
+    // badly worded or too broad
+    if (quality <= 1 && (card.interval || 0) >= 1) {
+      updatedCard.lapses = (card.lapses || 0) + 1;
+      if (updatedCard.lapses >= settings.leechThreshold && !card.leech) {
+        updatedCard.leech = true;
+        updatedCard.suspended = settings.leechAction === 'suspend' || Boolean(card.suspended);
+      }
+    }
+
+    return updateFlashcard(topicId, card.id, updatedCard) || updatedCard;
+  }
+
+  /**
+   * Record an answer given outside a study session, e.g. in a quiz.
+   * @param {string} topicId
+   * @param {string} cardId
+   * @param {number} quality - SM-2 0-5 rating
+   * @param {object} [review] - Extra review log fields: answerTimeMs, mode
+   * @returns {object|null} The updated card, or null if it no longer exists
+   */
+  function reviewCard(topicId, cardId, quality, review = {}) {
+    const card = getFlashcards(topicId).find(c => c.id === cardId);
+    return card ? applyReview(topicId, card, quality, review) : null;
+  }
+
+  /**
+   * Suspend or bury the card being studied and move on to the next one. Like
+   * an answer, this can be taken back with undoLastAnswer.
+   * @param {string} action - 'suspend' or 'bury'
+   * @returns {object|null} The updated card, or null if there is no current card
+   */
+  function setCurrentCardAside(action) {
+    const card = getCurrentCard();
+    if (!card) return null;
+
+    const topicId = card.topicId || currentSession.topicId;
+    const stored = getFlashcards(topicId).find(c => c.id === card.id);
+    if (!stored) return null;
+
+    currentSession.undoStack.push({
+      index: currentSession.currentIndex,
+      setAside: {
+        topicId,
+        id: card.id,
+        suspended: stored.suspended || false,
+        buriedUntil: stored.buriedUntil || null,
+      },
+    });
+
+    const updated =
+      action === 'suspend' ? suspendCard(topicId, card.id) : buryCard(topicId, card.id);
+    skipCard();
+    return updated;
+  }
+
+  function canUndo() {
+    return Boolean(currentSession && currentSession.undoStack.length > 0);
+  }
+
+  /**
+   * Take back the most recent answer in this session: the card's stored state
+   * is restored from before the answer, its review log entry is removed, and
+   * the session rewinds to show the card again. A card set aside with
+   * setCurrentCardAside is unsuspended or unburied and shown again.
+   * @returns {object|null} The restored card, or null if there is nothing to undo
+   */
+  function undoLastAnswer() {
+    if (!canUndo()) return null;
+
+    const entry = currentSession.undoStack.pop();
+    if (entry.setAside) {
+      const { topicId, id, suspended, buriedUntil } = entry.setAside;
+      currentSession.currentIndex = entry.index;
+      currentSession.isFlipped = false;
+      currentSession.cardShownAt = Date.now();
+      return updateFlashcard(topicId, id, { suspended, buriedUntil });
+    }
+
+    const { snapshot, index, correct, reviewId, buried, removed } = entry;
+    const restored = { ...snapshot };
+
+    buried.forEach(b => updateFlashcard(b.topicId, b.id, { buriedUntil: b.buriedUntil }));
+    removed.forEach(r => currentSession.cards.splice(r.index, 0, r.card));
+
+    currentSession.cards[index] = restored;
+    currentSession.currentIndex = index;
+    currentSession.isFlipped = false;
+    currentSession.cardShownAt = Date.now();
+    if (correct) {
+      currentSession.correct--;
+    } else {
+      currentSession.review--;
+    }
+
+    const cards = getAllFlashcards().flashcards[restored.topicId || currentSession.topicId] || [];
+    const position = cards.findIndex(c => c.id === restored.id);
+    if (position !== -1) {
+      // Replace rather than merge so fields the answer added (e.g. FSRS state) go too
+      cards[position] = { ...restored };
+      persist(adapter =>
+        adapter.transaction(['flashcards', 'reviews'], tx =>
+          Promise.all([tx.put('flashcards', cards[position]), tx.delete('reviews', reviewId)])
+        )
+      );
+    }
+
+    return restored;
+  }
+
+  function logReview(entry) {
+    persist(adapter => adapter.put('reviews', entry));
+  }
+
+  /**
+   * Every recorded answer, oldest first. The log is append-only and read
+   * straight from storage, since it grows without bound.
+   * @param {string} [topicId] - Limit to one topic
+   * @returns {Promise<Array>}
+   */
+  function getReviewLog(topicId = null) {
+    return ready
+      .then(() =>
+        topicId ? storage.query('reviews', 'topicId', topicId) : storage.query('reviews')
+      )
+      .then(entries => entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp)))
+      .catch(e => {
+        console.error('Error reading review log:', e);
+        return [];
+      });
+  }
+
+  function getReviewStats(topicId = null) {
+    return getReviewLog(topicId).then(entries => {
+      const now = new Date();
+      const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+      const windowStart = now.getTime() - REVIEW_STATS_DAYS * DAY_MS;
+
+      const recent = entries.filter(e => Date.parse(e.timestamp) >= windowStart);
+      const correct = recent.filter(e => e.rating >= 3).length;
+      const answerTime = recent.reduce((sum, e) => sum + (e.answerTimeMs || 0), 0);
+
+      return {
+        total: entries.length,
+        today: entries.filter(e => Date.parse(e.timestamp) >= dayStart).length,
+        recent: recent.length,
+        recentDays: REVIEW_STATS_DAYS,
+        retention: recent.length > 0 ? Math.round((correct / recent.length) * 100) : null,
+        averageAnswerMs: recent.length > 0 ? Math.round(answerTime / recent.length) : null,
+      };
+    });
+  }
+
+  function exportReviewLog(topicId = null) {
+    return getReviewLog(topicId).then(reviews => {
+      const data = {
+        topicId,
+        reviews,
+        exportDate: new Date().toISOString(),
+        version: '1.0',
+      };
+
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `review-log-${topicId || 'all'}-${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
   function getSessionStats() {
     if (!currentSession) return null;
 
@@ -931,12 +1867,26 @@
       const existingCards = allData.flashcards[topicId] || [];
 
       data.cards.forEach(card => {
+        // Hand-written cloze notes arrive unexpanded: build their siblings here
+        if (card.format === 'cloze' && !card.clozeIndex) {
+          const text = card.clozeText || card.question;
+          const isNew = window.Cloze.buildCards(text).every(
+            sibling => !existingCards.some(c => c.question === sibling.question)
+          );
+          if (isNew) {
+            saveClozeNote(topicId, { text, extra: card.extra, source: 'imported', type: card.type });
+          }
+          return;
+        }
+
         const duplicate = existingCards.find(
           c => c.question.toLowerCase() === card.question.toLowerCase()
         );
 
+        // Always a fresh id: the exported one may already be in use by the
+        // deck this came from, and ids are unique across topics
         if (!duplicate) {
-          saveFlashcard(topicId, { ...card, source: 'imported' });
+          saveFlashcard(topicId, { ...card, id: generateId(), source: 'imported' });
         }
       });
 
@@ -948,25 +1898,59 @@
   }
 
   window.Flashcards = {
+    ready,
     getSettings,
     saveSettings,
+    setScheduler,
+    getAllFlashcards,
     getFlashcards,
     getDueCards,
     getDueCount,
+    isDue,
+    isBuried,
+    getSiblings,
+    suspendCard,
+    buryCard,
     saveFlashcard,
     updateFlashcard,
     deleteFlashcard,
+    saveClozeNote,
     parseMarkdownForFlashcards,
+    getInvalidCardReason,
+    generateOutputCards,
+    diffGeneratedCards,
+    applyGeneratedDiff,
+    linkToSource,
+    hashText,
+    getSourceUrl,
+    getStaleCards,
+    keepStaleCard,
+    getCardTags,
+    getAllTags,
+    findCards,
+    getCustomDecks,
+    getCustomDeck,
+    saveCustomDeck,
+    deleteCustomDeck,
     startStudySession,
+    getTodayQueue,
+    startTodaySession,
     getCurrentCard,
     flipCard,
     recordAnswer,
+    reviewCard,
+    undoLastAnswer,
+    setCurrentCardAside,
+    canUndo,
     skipCard,
     getSessionStats,
     endSession,
     getStats,
     exportDeck,
     importDeck,
+    getReviewLog,
+    getReviewStats,
+    exportReviewLog,
     CONFIDENCE,
   };
 })();
@@ -0,0 +1,89 @@
+/**
+ * Frontmatter Parser
+ *
+ * Reads the YAML block at the top of a markdown source:
+ *
+ *   ---
+ *   title: Closures
+ *   order: 4
+ *   tags: [scope, functions]
+ *   prerequisites:
+ *     - data-types
+ *   draft: false
+ *   ---
+ *
+ * Only the subset chapters need is supported: `key: value` scalars (strings,
+ * numbers, booleans, null), inline `[a, b]` lists and `- item` block lists.
+ */
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (/^(['"]).*\1$/.test(value)) {
+    return value.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+function parseInlineList(raw) {
+  const inner = raw.trim().slice(1, -1).trim();
+  if (!inner) return [];
+  return inner.split(',').map(parseScalar);
+}
+
+/**
+ * Split a markdown source into frontmatter data and body.
+ * @param {string} source - Raw markdown file contents
+ * @param {string} [filename] - Used in error messages
+ * @returns {{data: object, body: string}}
+ */
+function parseFrontmatter(source, filename = 'markdown source') {
+  const match = source.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = {};
+  const lines = match[1].split(/\r?\n/);
+  let listKey = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const itemMatch = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (itemMatch && listKey) {
+      data[listKey] = data[listKey] || [];
+      data[listKey].push(parseScalar(itemMatch[1]));
+      return;
+    }
+
+    const pairMatch = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!pairMatch) {
+      throw new Error(`Invalid frontmatter in ${filename} (line ${index + 2}): "${line.trim()}"`);
+    }
+
+    const key = pairMatch[1];
+    const rawValue = pairMatch[2].trim();
+
+    if (rawValue === '') {
+      // Either an empty value or the start of a block list
+      data[key] = null;
+      listKey = key;
+      return;
+    }
+
+    listKey = null;
+    data[key] = /^\[.*\]$/.test(rawValue) ? parseInlineList(rawValue) : parseScalar(rawValue);
+  });
+
+  return { data, body: source.slice(match[0].length).replace(/^(\r?\n)+/, '') };
+}
+
+module.exports = { parseFrontmatter };
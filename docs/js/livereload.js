@@ -0,0 +1,106 @@
+/**
+ * Live Reload Client
+ * Injected by dev-server.js; reloads the page when its build output changes
+ * and restores the reading position afterwards
+ */
+
+(function () {
+  'use strict';
+
+  const STATE_KEY = 'livereload_state';
+
+  function getCurrentFile() {
+    return window.location.pathname.split('/').pop() || 'index.html';
+  }
+
+  function getActiveHeadingId() {
+    const active = document.querySelector('.toc-nav a.active');
+    return active ? active.getAttribute('href').substring(1) : null;
+  }
+
+  function saveState() {
+    const headingId = getActiveHeadingId();
+    const heading = headingId ? document.getElementById(headingId) : null;
+    const toc = document.querySelector('.table-of-contents');
+    const sidebar = document.getElementById('sidebar');
+
+    const state = {
+      file: getCurrentFile(),
+      scrollY: window.scrollY,
+      headingId,
+      headingOffset: heading ? window.scrollY - heading.offsetTop : 0,
+      tocScroll: toc ? toc.scrollTop : 0,
+      sidebarOpen: sidebar ? sidebar.classList.contains('open') : false,
+    };
+
+    sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+  }
+
+  function restoreState() {
+    let state;
+    try {
+      state = JSON.parse(sessionStorage.getItem(STATE_KEY));
+    } catch (e) {
+      state = null;
+    }
+    sessionStorage.removeItem(STATE_KEY);
+
+    if (!state || state.file !== getCurrentFile()) return;
+
+    // Anchor to the heading that was active so edits above it don't shift the view
+    const heading = state.headingId ? document.getElementById(state.headingId) : null;
+    const top = heading ? heading.offsetTop + state.headingOffset : state.scrollY;
+    window.scrollTo({ top, behavior: 'instant' });
+
+    const toc = document.querySelector('.table-of-contents');
+    if (toc) {
+      toc.scrollTop = state.tocScroll;
+    }
+
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar && state.sidebarOpen) {
+      sidebar.classList.add('open');
+    }
+  }
+
+  function reload() {
+    saveState();
+    window.location.reload();
+  }
+
+  function refreshStylesheets() {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+      const url = new URL(link.href);
+      if (url.origin !== window.location.origin) return;
+      url.searchParams.set('v', Date.now());
+      link.href = url.toString();
+    });
+  }
+
+  function connect() {
+    const source = new EventSource('/__livereload');
+
+    source.addEventListener('reload', e => {
+      const { files } = JSON.parse(e.data);
+      const current = getCurrentFile();
+      const isAsset = files.some(file => file.startsWith('js/'));
+
+      if (isAsset || files.includes(current)) {
+        reload();
+      }
+    });
+
+    source.addEventListener('css', refreshStylesheets);
+  }
+
+  function init() {
+    restoreState();
+    connect();
+  }
+
+  if (document.readyState === 'complete') {
+    init();
+  } else {
+    window.addEventListener('load', init);
+  }
+})();
@@ -10,9 +10,7 @@
 
   function setupTableOfContents() {
     const toc = document.querySelector('.table-of-contents');
-    if (!toc) {
-      console.warn('Table of Contents not found');
-    }
+    if (!toc) return;
 
     const links = toc.querySelectorAll('a');
     if (links.length === 0) {
@@ -1,13 +1,17 @@
 /**
  * Progress Tracking System
- * Uses localStorage to track learning progress across sessions
+ * Tracks learning progress and page notes across sessions in the `progress`
+ * and `notes` stores (see storage.js). Reads come from an in-memory copy, so
+ * wait for `ProgressTracker.ready` before reading.
  */
 
 (function () {
   'use strict';
 
-  const STORAGE_KEY = 'theory_test_progress';
-  const NOTES_KEY = 'theory_test_notes';
+  if (!window.StudyStorage) {
+    console.error('StudyStorage module not loaded');
+    return;
+  }
 
   const PROGRESS = {
     NOT_STARTED: 'not-started',
@@ -15,24 +19,39 @@
     COMPLETED: 'completed',
   };
 
-  function getProgress() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : {};
-    } catch (e) {
+  let progressCache = {};
+  let notesCache = {};
+  let storage = null;
+
+  const ready = window.StudyStorage.open()
+    .then(adapter => {
+      storage = adapter;
+      return Promise.all([adapter.query('progress'), adapter.query('notes')]);
+    })
+    .then(([progressRecords, noteRecords]) => {
+      progressRecords.forEach(record => {
+        progressCache[record.pageId] = record;
+      });
+      noteRecords.forEach(record => {
+        notesCache[record.pageId] = record.content;
+      });
+    })
+    .catch(e => {
       console.error('Error reading progress:', e);
-      return {};
-    }
+    });
+
+  function persist(operation, label) {
+    return ready
+      .then(() => operation(storage))
+      .then(() => true)
+      .catch(e => {
+        console.error(`Error saving ${label}:`, e);
+        return false;
+      });
   }
 
-  function saveProgress(data) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.error('Error saving progress:', e);
-      return false;
-    }
+  function getProgress() {
+    return progressCache;
   }
 
   function getPageProgress(pageId) {
@@ -51,12 +70,14 @@
     const now = new Date().toISOString();
 
     progress[pageId] = {
+      pageId,
       status: status,
       lastVisited: now,
       timeSpent: progress[pageId]?.timeSpent || 0,
     };
 
-    saveProgress(progress);
+    const record = progress[pageId];
+    persist(adapter => adapter.put('progress', record), 'progress');
     updateUI();
     return true;
   }
@@ -88,36 +109,57 @@
     };
   }
 
+  /**
+   * Replace progress and notes in one transaction, e.g. on reset or import.
+   * @returns {Promise<boolean>}
+   */
+  function replaceAll(progress, notes) {
+    const oldProgress = Object.keys(progressCache);
+    const oldNotes = Object.keys(notesCache);
+
+    progressCache = {};
+    Object.keys(progress).forEach(pageId => {
+      progressCache[pageId] = { ...progress[pageId], pageId };
+    });
+    notesCache = { ...notes };
+
+    return persist(
+      adapter =>
+        adapter.transaction(['progress', 'notes'], tx =>
+          Promise.all([
+            ...oldProgress.map(pageId => tx.delete('progress', pageId)),
+            ...oldNotes.map(pageId => tx.delete('notes', pageId)),
+            ...Object.values(progressCache).map(record => tx.put('progress', record)),
+            ...Object.keys(notesCache).map(pageId =>
+              tx.put('notes', { pageId, content: notesCache[pageId] })
+            ),
+          ])
+        ),
+      'progress'
+    );
+  }
+
   function resetProgress() {
     if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-      localStorage.removeItem(STORAGE_KEY);
-      localStorage.removeItem(NOTES_KEY);
-      updateUI();
-      window.location.reload();
+      replaceAll({}, {}).then(() => {
+        updateUI();
+        window.location.reload();
+      });
     }
   }
 
+  function getAllNotes() {
+    return notesCache;
+  }
+
   function getNotes(pageId) {
-    try {
-      const notes = localStorage.getItem(NOTES_KEY);
-      const allNotes = notes ? JSON.parse(notes) : {};
-      return allNotes[pageId] || '';
-    } catch (e) {
-      return '';
-    }
+    return notesCache[pageId] || '';
   }
 
   function saveNotes(pageId, content) {
-    try {
-      const notes = localStorage.getItem(NOTES_KEY);
-      const allNotes = notes ? JSON.parse(notes) : {};
-      allNotes[pageId] = content;
-      localStorage.setItem(NOTES_KEY, JSON.stringify(allNotes));
-      return true;
-    } catch (e) {
-      console.error('Error saving notes:', e);
-      return false;
-    }
+    notesCache[pageId] = content;
+    persist(adapter => adapter.put('notes', { pageId, content }), 'notes');
+    return true;
   }
 
   function updateUI() {
@@ -149,6 +191,8 @@
       }
     });
 
+    updateChapterCards();
+
     const progressBar = document.getElementById('overall-progress-bar');
     if (progressBar) {
       const stats = getStats();
@@ -161,8 +205,26 @@
     }
   }
 
+  function updateChapterCards() {
+    const labels = {
+      [PROGRESS.NOT_STARTED]: 'Not started',
+      [PROGRESS.IN_PROGRESS]: '<i class="fas fa-circle-half-stroke"></i> In progress',
+      [PROGRESS.COMPLETED]: '<i class="fas fa-check"></i> Completed',
+    };
+
+    document.querySelectorAll('[data-progress-page]').forEach(card => {
+      const progress = getPageProgress(card.dataset.progressPage);
+      card.dataset.status = progress.status;
+
+      const status = card.querySelector('[data-progress-status]');
+      if (status) {
+        status.innerHTML = labels[progress.status] || '';
+      }
+    });
+  }
+
   function setupControls() {
-    const currentPage = window.location.pathname.split('/').pop().replace('.html', '');
+    const currentPage = window.location.pathname.split('/').pop().replace('.html', '') || 'index';
 
     if (currentPage && currentPage !== 'index') {
       markVisited(currentPage);
@@ -208,15 +270,18 @@
           saveNotes(currentPage, notesArea.value);
         }, 500);
       });
+
+      if (window.location.hash === '#page-notes') {
+        notesArea.focus();
+      }
     }
   }
 
   function exportProgress() {
     const progress = getProgress();
-    const notes = localStorage.getItem(NOTES_KEY);
     const data = {
       progress,
-      notes: notes ? JSON.parse(notes) : {},
+      notes: getAllNotes(),
       exportDate: new Date().toISOString(),
     };
 
@@ -234,15 +299,11 @@
     reader.onload = e => {
       try {
         const data = JSON.parse(e.target.result);
-        if (data.progress) {
-          saveProgress(data.progress);
-        }
-        if (data.notes) {
-          localStorage.setItem(NOTES_KEY, JSON.stringify(data.notes));
-        }
-        updateUI();
-        alert('Progress imported successfully!');
-        window.location.reload();
+        replaceAll(data.progress || getProgress(), data.notes || getAllNotes()).then(() => {
+          updateUI();
+          alert('Progress imported successfully!');
+          window.location.reload();
+        });
       } catch (err) {
         alert('Error importing progress: ' + err.message);
       }
@@ -281,12 +342,14 @@
   }
 
   window.ProgressTracker = {
+    ready,
     getProgress,
     getPageProgress,
     setPageProgress,
     markVisited,
     getStats,
     resetProgress,
+    getAllNotes,
     getNotes,
     saveNotes,
     updateUI,
@@ -294,9 +357,13 @@
     PROGRESS,
   };
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  Promise.all([ready, domReady]).then(init);
 })();
@@ -0,0 +1,293 @@
+/**
+ * Multiple-Choice Quiz
+ * Builds quizzes from a topic's flashcards. Each question offers the card's
+ * answer among distractors taken from other cards of the same kind, or written
+ * by the AI generator when AI is enabled. Every answer is fed to the
+ * scheduler like a study review, and finished attempts are kept in the
+ * `quizzes` store for the topic's quiz history.
+ */
+
+(function () {
+  'use strict';
+
+  if (!window.StudyStorage || !window.Flashcards || !window.Cloze) {
+    console.error('StudyStorage, Flashcards and Cloze modules must load before Quiz');
+    return;
+  }
+
+  const DEFAULT_QUESTIONS = 10;
+  const CHOICES_PER_QUESTION = 4;
+
+  // A wrong choice is a rating of Again, a right one Good
+  const QUALITY = { CORRECT: 4, WRONG: 1 };
+
+  let currentQuiz = null;
+
+  function persist(operation) {
+    return window.StudyStorage.open()
+      .then(operation)
+      .catch(e => {
+        console.error('Error saving quiz:', e);
+        return null;
+      });
+  }
+
+  function normalizeChoice(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  function getPrompt(card) {
+    return card.format === 'cloze'
+      ? window.Cloze.renderFront(card.clozeText, card.clozeIndex, { html: true })
+      : card.question;
+  }
+
+  function getCorrectAnswer(card) {
+    return card.format === 'cloze'
+      ? window.Cloze.getAnswer(card.clozeText, card.clozeIndex)
+      : card.answer;
+  }
+
+  /**
+   * Other cards' answers, most plausible first: same guide section, same card
+   * format and type, then closest in length so the right answer doesn't stand out.
+   */
+  function pickDistractors(card, cards, count) {
+    const answer = getCorrectAnswer(card);
+    const section = (card.headingPath || []).join('\n');
+    const seen = new Set([normalizeChoice(answer)]);
+
+    return cards
+      .filter(other => other.id !== card.id)
+      .map(other => {
+        const text = getCorrectAnswer(other);
+        const sameFormat = (other.format || 'basic') === (card.format || 'basic');
+        const sameType = other.type === card.type;
+        const sameSection = Boolean(section) && (other.headingPath || []).join('\n') === section;
+        const lengthGap =
+          Math.abs(text.length - answer.length) / Math.max(text.length, answer.length, 1);
+        return {
+          text,
+          score:
+            (sameSection ? 4 : 0) +
+            (sameFormat ? 2 : 0) +
+            (sameType ? 1 : 0) -
+            lengthGap +
+            Math.random() * 0.5,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .filter(candidate => {
+        const key = normalizeChoice(candidate.text);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, count)
+      .map(candidate => candidate.text);
+  }
+
+  // AI distractors may repeat each other or restate the answer; drop those and
+  // top up from the deck's own
+  function mergeDistractors(card, aiDistractors, deckDistractors) {
+    const seen = new Set([normalizeChoice(getCorrectAnswer(card))]);
+    return [...aiDistractors, ...deckDistractors]
+      .filter(text => {
+        const key = normalizeChoice(text);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, CHOICES_PER_QUESTION - 1);
+  }
+
+  function shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  function buildQuestion(card, distractors) {
+    const choices = shuffle([getCorrectAnswer(card), ...distractors]);
+    return {
+      cardId: card.id,
+      prompt: getPrompt(card),
+      choices,
+      correctIndex: choices.indexOf(getCorrectAnswer(card)),
+    };
+  }
+
+  /**
+   * Ask the AI generator for distractors, filling any question it doesn't
+   * return enough usable ones for from the deck. Failures fall back to the
+   * deck silently.
+   */
+  function withAIDistractors(cards, deckDistractors) {
+    const settings = window.Flashcards.getSettings();
+    if (
+      !settings.aiEnabled ||
+      !window.AIFlashcardGenerator ||
+      !window.AIFlashcardGenerator.isConfigured(settings)
+    ) {
+      return Promise.resolve({ distractors: deckDistractors, ai: false });
+    }
+
+    const needed = CHOICES_PER_QUESTION - 1;
+    const generator = new window.AIFlashcardGenerator(settings);
+    const items = cards.map(card => ({ question: card.question, answer: getCorrectAnswer(card) }));
+
+    return generator
+      .generateDistractors(items, needed)
+      .then(generated => ({
+        distractors: cards.map((card, i) =>
+          mergeDistractors(card, generated[i] || [], deckDistractors[i])
+        ),
+        ai: true,
+      }))
+      .catch(e => {
+        console.warn('AI distractors unavailable, using deck answers instead:', e);
+        return { distractors: deckDistractors, ai: false };
+      });
+  }
+
+  /**
+   * Start a quiz on a topic. Cards that are due come first, then the rest.
+   * @param {string} topicId
+   * @param {object} [options]
+   * @param {number} [options.count] - Number of questions
+   * @returns {Promise<object|null>} The quiz, or null if the topic has fewer than two cards
+   */
+  function start(topicId, options = {}) {
+    const cards = window.Flashcards.getFlashcards(topicId).filter(card => !card.suspended);
+    if (cards.length < 2) return Promise.resolve(null);
+
+    const due = new Set(window.Flashcards.getDueCards(topicId).map(card => card.id));
+    const picked = [
+      ...shuffle(cards.filter(card => due.has(card.id))),
+      ...shuffle(cards.filter(card => !due.has(card.id))),
+    ].slice(0, options.count || DEFAULT_QUESTIONS);
+
+    const deckDistractors = picked.map(card =>
+      pickDistractors(card, cards, CHOICES_PER_QUESTION - 1)
+    );
+
+    return withAIDistractors(picked, deckDistractors).then(({ distractors, ai }) => {
+      currentQuiz = {
+        topicId,
+        questions: picked.map((card, i) => buildQuestion(card, distractors[i])),
+        currentIndex: 0,
+        answers: [],
+        aiDistractors: ai,
+        startTime: Date.now(),
+        questionShownAt: Date.now(),
+      };
+      return currentQuiz;
+    });
+  }
+
+  function getCurrentQuestion() {
+    if (!currentQuiz || currentQuiz.currentIndex >= currentQuiz.questions.length) {
+      return null;
+    }
+    return currentQuiz.questions[currentQuiz.currentIndex];
+  }
+
+  /**
+   * Answer the current question and reschedule its card.
+   * @param {number} choiceIndex
+   * @returns {object|null} { correct, correctIndex, isComplete }
+   */
+  function answer(choiceIndex) {
+    const question = getCurrentQuestion();
+    if (!question) return null;
+
+    const correct = choiceIndex === question.correctIndex;
+    const answerTimeMs = Date.now() - currentQuiz.questionShownAt;
+
+    currentQuiz.answers.push({ cardId: question.cardId, choiceIndex, correct, answerTimeMs });
+    const quality = correct ? QUALITY.CORRECT : QUALITY.WRONG;
+    window.Flashcards.reviewCard(currentQuiz.topicId, question.cardId, quality, {
+      answerTimeMs,
+      mode: 'quiz',
+    });
+
+    currentQuiz.currentIndex++;
+    currentQuiz.questionShownAt = Date.now();
+
+    return {
+      correct,
+      correctIndex: question.correctIndex,
+      isComplete: currentQuiz.currentIndex >= currentQuiz.questions.length,
+    };
+  }
+
+  function getScore() {
+    if (!currentQuiz) return null;
+
+    const correct = currentQuiz.answers.filter(a => a.correct).length;
+    const answered = currentQuiz.answers.length;
+    return {
+      total: currentQuiz.questions.length,
+      answered,
+      correct,
+      percentage: answered > 0 ? Math.round((correct / answered) * 100) : 0,
+    };
+  }
+
+  /**
+   * End the quiz and add it to the topic's history. Quizzes with no answers
+   * are dropped.
+   * @returns {Promise<object|null>} The saved attempt
+   */
+  function finish() {
+    if (!currentQuiz) return Promise.resolve(null);
+
+    const quiz = currentQuiz;
+    const score = getScore();
+    currentQuiz = null;
+
+    if (score.answered === 0) return Promise.resolve(null);
+
+    const attempt = {
+      id: `qz-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      topicId: quiz.topicId,
+      date: new Date().toISOString(),
+      durationMs: Date.now() - quiz.startTime,
+      total: score.answered,
+      correct: score.correct,
+      percentage: score.percentage,
+      aiDistractors: quiz.aiDistractors,
+      answers: quiz.answers,
+    };
+
+    return persist(adapter => adapter.put('quizzes', attempt)).then(() => attempt);
+  }
+
+  /**
+   * Finished quizzes for a topic, newest first.
+   * @param {string} topicId
+   * @returns {Promise<Array>}
+   */
+  function getHistory(topicId) {
+    return window.StudyStorage.open()
+      .then(adapter => adapter.query('quizzes', 'topicId', topicId))
+      .then(attempts => attempts.sort((a, b) => b.date.localeCompare(a.date)))
+      .catch(e => {
+        console.error('Error reading quiz history:', e);
+        return [];
+      });
+  }
+
+  window.Quiz = {
+    start,
+    getCurrentQuestion,
+    answer,
+    getScore,
+    finish,
+    getHistory,
+    CHOICES_PER_QUESTION,
+  };
+})();
@@ -0,0 +1,263 @@
+/**
+ * Review Schedulers
+ * Decide when a flashcard is next due after a review. Every scheduler has the
+ * same shape and keeps the memory state it needs on the card itself:
+ *
+ *   schedule(card, quality, settings, now) -> updated copy of the card
+ *   getState(card)                          -> that memory state, for the review log
+ *
+ * `quality` is the SM-2 0-5 scale the study UI records (1 again, 2 hard,
+ * 4 good, 5 easy); `settings` are the flashcard settings.
+ */
+
+(function () {
+  'use strict';
+
+  const MINUTE_MS = 60000;
+  const DAY_MS = 86400000;
+
+  function addMinutes(now, minutes) {
+    return new Date(now.getTime() + minutes * MINUTE_MS).toISOString();
+  }
+
+  function addDays(now, days) {
+    return new Date(now.getTime() + days * DAY_MS).toISOString();
+  }
+
+  /**
+   * SM-2 with learning steps: new and failed cards step through
+   * `learningSteps` (minutes) before graduating to day intervals that grow by
+   * the card's easiness factor.
+   */
+  const sm2 = {
+    id: 'sm2',
+    label: 'SM-2 (classic)',
+
+    getState(card) {
+      return {
+        easinessFactor: card.easinessFactor,
+        repetitions: card.repetitions,
+        stepIndex: card.stepIndex,
+      };
+    },
+
+    schedule(card, quality, settings, now) {
+      const newCard = { ...card };
+
+      if (quality < 3) {
+        newCard.repetitions = 0;
+        newCard.stepIndex = 0;
+        newCard.isNew = false;
+
+        const stepMinutes = settings.learningSteps[0] || 10;
+        newCard.interval = stepMinutes / 1440;
+        newCard.nextReviewDate = addMinutes(now, stepMinutes);
+      } else if (newCard.isNew || newCard.repetitions === 0) {
+        newCard.isNew = false;
+        newCard.stepIndex++;
+
+        if (newCard.stepIndex < settings.learningSteps.length) {
+          const stepMinutes = settings.learningSteps[newCard.stepIndex];
+          newCard.interval = stepMinutes / 1440;
+          newCard.nextReviewDate = addMinutes(now, stepMinutes);
+        } else {
+          newCard.repetitions = 1;
+          newCard.interval = settings.graduatingInterval;
+          newCard.nextReviewDate = addDays(now, newCard.interval);
+        }
+      } else {
+        newCard.repetitions++;
+
+        newCard.easinessFactor = Math.max(
+          1.3,
+          newCard.easinessFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        if (newCard.repetitions === 1) {
+          newCard.interval = settings.newCardInterval;
+        } else if (newCard.repetitions === 2) {
+          newCard.interval = settings.graduatingInterval;
+        } else {
+          let multiplier = newCard.easinessFactor;
+          if (quality === 5) {
+            multiplier *= 1.3;
+          } else if (quality === 3) {
+            multiplier *= 1.2;
+          }
+          newCard.interval = Math.round(newCard.interval * multiplier);
+        }
+
+        newCard.interval = Math.min(newCard.interval, settings.maxInterval);
+        newCard.nextReviewDate = addDays(now, newCard.interval);
+      }
+
+      return newCard;
+    },
+  };
+
+  // FSRS-4.5 default parameters, fitted by the FSRS project on public review logs
+  const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072,
+    0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+  ];
+  const FSRS_DECAY = -0.5;
+  const FSRS_FACTOR = 19 / 81; // Makes retrievability 90% when elapsed time equals stability
+  const GRADE = { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 };
+
+  // Each 0.1 of SM-2 ease below the 2.5 default counts as 0.6 FSRS difficulty
+  const EASE_TO_DIFFICULTY = 6;
+
+  const w = FSRS_WEIGHTS;
+
+  function toGrade(quality) {
+    if (quality <= 1) return GRADE.AGAIN;
+    if (quality === 2) return GRADE.HARD;
+    if (quality >= 5) return GRADE.EASY;
+    return GRADE.GOOD;
+  }
+
+  function clampDifficulty(difficulty) {
+    return Math.min(10, Math.max(1, difficulty));
+  }
+
+  function initialStability(grade) {
+    return Math.max(w[grade - 1], 0.1);
+  }
+
+  function initialDifficulty(grade) {
+    return clampDifficulty(w[4] - (grade - 3) * w[5]);
+  }
+
+  function retrievability(elapsedDays, stability) {
+    return Math.pow(1 + (FSRS_FACTOR * elapsedDays) / stability, FSRS_DECAY);
+  }
+
+  function nextDifficulty(difficulty, grade) {
+    const next = difficulty - w[6] * (grade - 3);
+    // Mean reversion keeps difficulty from drifting to the extremes
+    return clampDifficulty(w[7] * initialDifficulty(GRADE.GOOD) + (1 - w[7]) * next);
+  }
+
+  function recallStability(difficulty, stability, r, grade) {
+    const hardPenalty = grade === GRADE.HARD ? w[15] : 1;
+    const easyBonus = grade === GRADE.EASY ? w[16] : 1;
+    const growth =
+      Math.exp(w[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -w[9]) *
+      (Math.exp(w[10] * (1 - r)) - 1) *
+      hardPenalty *
+      easyBonus;
+    return stability * (1 + growth);
+  }
+
+  function forgetStability(difficulty, stability, r) {
+    const next =
+      w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - r));
+    return Math.min(next, stability);
+  }
+
+  function intervalDays(stability, retention) {
+    return (stability / FSRS_FACTOR) * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+  }
+
+  /**
+   * FSRS memory state for a card reviewed under SM-2, or null for a card that
+   * has never been reviewed. The last interval stands in for stability (SM-2
+   * schedules at roughly 90% recall too) and ease maps onto difficulty.
+   */
+  function seedState(card, now = new Date()) {
+    if (card.isNew !== false && !card.reviewCount) return null;
+
+    const ease = card.easinessFactor || 2.5;
+    return {
+      stability: Math.max(card.interval || 0, initialStability(GRADE.AGAIN)),
+      difficulty: clampDifficulty(
+        initialDifficulty(GRADE.GOOD) + (2.5 - ease) * EASE_TO_DIFFICULTY
+      ),
+      lastReview: card.lastReviewed || card.created || now.toISOString(),
+    };
+  }
+
+  /**
+   * FSRS: models each card's memory as stability (days until recall drops to
+   * 90%) and difficulty (1-10), and schedules the next review for when
+   * predicted recall falls to `settings.desiredRetention`. State is kept on
+   * `card.fsrs`.
+   */
+  const fsrs = {
+    id: 'fsrs',
+    label: 'FSRS (adaptive)',
+    seedState,
+
+    getState(card) {
+      return card.fsrs ? { ...card.fsrs } : null;
+    },
+
+    schedule(card, quality, settings, now) {
+      const newCard = { ...card };
+      const grade = toGrade(quality);
+      const state = card.fsrs || seedState(card, now);
+      let stability;
+      let difficulty;
+
+      if (!state) {
+        stability = initialStability(grade);
+        difficulty = initialDifficulty(grade);
+      } else {
+        const elapsedDays = Math.max(0, (now - new Date(state.lastReview)) / DAY_MS);
+        const r = retrievability(elapsedDays, state.stability);
+
+        stability =
+          grade === GRADE.AGAIN
+            ? forgetStability(state.difficulty, state.stability, r)
+            : recallStability(state.difficulty, state.stability, r, grade);
+        difficulty = nextDifficulty(state.difficulty, grade);
+      }
+
+      newCard.fsrs = { stability, difficulty, lastReview: now.toISOString() };
+      newCard.isNew = false;
+
+      if (grade === GRADE.AGAIN) {
+        // Forgotten cards come back within the session, as with SM-2
+        const stepMinutes = settings.learningSteps[0] || 10;
+        newCard.repetitions = 0;
+        newCard.interval = stepMinutes / 1440;
+        newCard.nextReviewDate = addMinutes(now, stepMinutes);
+      } else {
+        const retention = settings.desiredRetention || 0.9;
+        newCard.repetitions = (newCard.repetitions || 0) + 1;
+        newCard.interval = Math.min(
+          Math.max(1, Math.round(intervalDays(stability, retention))),
+          settings.maxInterval
+        );
+        newCard.nextReviewDate = addDays(now, newCard.interval);
+      }
+
+      return newCard;
+    },
+  };
+
+  const SCHEDULERS = { sm2, fsrs };
+
+  /**
+   * Look up a scheduler by id, falling back to SM-2 for unknown ids.
+   * @param {string} id
+   * @returns {object}
+   */
+  function getScheduler(id) {
+    return SCHEDULERS[id] || sm2;
+  }
+
+  function listSchedulers() {
+    return Object.values(SCHEDULERS).map(({ id, label }) => ({ id, label }));
+  }
+
+  window.Schedulers = {
+    get: getScheduler,
+    list: listSchedulers,
+  };
+})();
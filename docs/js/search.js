@@ -1,12 +1,44 @@
 /**
  * Search System
- * Real-time search across all topics with keyboard shortcut support
+ * Real-time search across all topics with keyboard shortcut support.
+ * Topic titles come from the sidebar; section-level results come from the
+ * search-index.json file emitted by build.js, loaded on first use. The
+ * user's flashcards and page notes are indexed each time the modal opens.
  */
 
 (function () {
   'use strict';
 
+  const INDEX_URL = 'search-index.json';
+  const MAX_RESULTS = 50;
+  const MAX_PERSONAL_RESULTS = 10;
+  const MAX_POSITIONS = 50;
+  const SNIPPET_RADIUS = 60;
+
+  // Ranking: heading hits outweigh body hits, shallower headings outweigh
+  // deeper ones, and terms found close together earn a bonus
+  const TITLE_WEIGHT = 10;
+  const PHRASE_WEIGHT = 5;
+  const PROXIMITY_WEIGHT = 2;
+  const LEVEL_WEIGHTS = { page: 1.2, 2: 1, 3: 0.85, 4: 0.7, flashcard: 1, note: 0.9 };
+  const MATCH_QUALITY = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+  const FILTERS_KEY = 'search_filters';
+
+  // Result groups, in display order; each can be toggled off in the modal
+  const GROUPS = [
+    { id: 'content', label: 'Pages', types: ['page', 'section'], limit: MAX_RESULTS },
+    { id: 'flashcards', label: 'Flashcards', types: ['flashcard'], limit: MAX_PERSONAL_RESULTS },
+    { id: 'notes', label: 'Notes', types: ['note'], limit: MAX_PERSONAL_RESULTS },
+  ];
+
   let searchIndex = [];
+  let sectionIndex = [];
+  let sectionIndexPromise = null;
+  let personalIndex = [];
+  let indexPages = [];
+  let vocabulary = null;
+  let disabledGroups = loadFilters();
   let isSearchOpen = false;
 
   function buildSearchIndex() {
@@ -17,6 +49,7 @@
         const indicators = clone.querySelectorAll('.progress-indicator');
         indicators.forEach(ind => ind.remove());
         return {
+          type: 'page',
           title: clone.textContent.trim(),
           href: link.getAttribute('href'),
           element: link,
@@ -25,11 +58,409 @@
       .filter(item => item.href && item.href !== 'index.html');
   }
 
-  function search(query) {
-    if (!query) return searchIndex;
+  function loadSectionIndex() {
+    if (!sectionIndexPromise) {
+      sectionIndexPromise = fetch(INDEX_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(data => {
+          indexPages = data.pages;
+          sectionIndex = data.sections.map(section => {
+            const page = data.pages[section.p];
+            return {
+              type: 'section',
+              title: section.path[section.path.length - 1],
+              page: page.title,
+              file: page.file,
+              path: section.path.slice(0, -1),
+              href: `${page.file}#${section.id}`,
+              level: section.level,
+              code: Boolean(section.code),
+              text: section.text,
+            };
+          });
+          vocabulary = null;
+          return sectionIndex;
+        })
+        .catch(err => {
+          console.warn('Search index unavailable, searching topic titles only:', err);
+          return sectionIndex;
+        });
+    }
+    return sectionIndexPromise;
+  }
+
+  function getTopicTitle(topicId) {
+    const file = `${topicId}.html`;
+    const page = indexPages.find(p => p.file === file);
+    if (page) return page.title;
+
+    const navEntry = searchIndex.find(entry => entry.href === file);
+    return navEntry ? navEntry.title.replace(/^\d+\.\s*/, '') : topicId;
+  }
+
+  function markdownToText(markdown) {
+    return markdown
+      .replace(/```\w*/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[`*#>]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Index the user's own flashcards and page notes. Rebuilt on every open
+   * since both change outside this page.
+   */
+  function buildPersonalIndex() {
+    personalIndex = [];
+
+    if (window.Flashcards) {
+      const { flashcards } = window.Flashcards.getAllFlashcards();
+      Object.keys(flashcards).forEach(topicId => {
+        const topic = encodeURIComponent(topicId);
+        flashcards[topicId].forEach(card => {
+          const cardParam = encodeURIComponent(card.id);
+          personalIndex.push({
+            type: 'flashcard',
+            title: markdownToText(card.question),
+            page: getTopicTitle(topicId),
+            file: `${topicId}.html`,
+            href: `flashcard-manager.html?topic=${topic}&card=${cardParam}`,
+            studyHref: `flashcard-study.html?topic=${topic}&card=${cardParam}`,
+            text: markdownToText(card.answer),
+          });
+        });
+      });
+    }
+
+    if (window.ProgressTracker) {
+      const notes = window.ProgressTracker.getAllNotes();
+      Object.keys(notes).forEach(pageId => {
+        if (!notes[pageId] || !notes[pageId].trim()) return;
+        personalIndex.push({
+          type: 'note',
+          title: getTopicTitle(pageId),
+          page: 'Your Notes',
+          file: `${pageId}.html`,
+          href: `${pageId}.html#page-notes`,
+          text: notes[pageId].replace(/\s+/g, ' ').trim(),
+        });
+      });
+    }
+
+    vocabulary = null;
+  }
+
+  function loadFilters() {
+    try {
+      return JSON.parse(localStorage.getItem(FILTERS_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveFilters() {
+    localStorage.setItem(FILTERS_KEY, JSON.stringify(disabledGroups));
+  }
+
+  function getGroup(result) {
+    return GROUPS.find(group => group.types.includes(result.type));
+  }
+
+  function tokenize(text) {
+    return text.toLowerCase().match(/[\w$]+/g) || [];
+  }
+
+  /**
+   * Parse a query into free terms, "quoted phrases", -excluded terms and
+   * scope operators (in:closures,context type:code), which a leading - also
+   * negates. Unknown operators are searched for literally.
+   */
+  function parseQuery(query) {
+    const parsed = {
+      terms: [],
+      phrases: [],
+      excludes: [],
+      scopes: { in: [], type: [] },
+      excludeScopes: { in: [], type: [] },
+    };
+    const pattern = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      const [, negate, operator, phrase, word] = match;
+      const value = phrase !== undefined ? phrase : word;
+      const scope = operator && operator.toLowerCase();
+
+      if (scope && parsed.scopes[scope]) {
+        const target = negate ? parsed.excludeScopes : parsed.scopes;
+        value
+          .toLowerCase()
+          .split(',')
+          .filter(Boolean)
+          .forEach(v => target[scope].push(v));
+      } else if (operator) {
+        parsed.terms.push(...tokenize(`${operator}:${value}`));
+      } else if (phrase !== undefined) {
+        const lower = phrase.toLowerCase().trim();
+        if (lower) (negate ? parsed.excludes : parsed.phrases).push(lower);
+      } else if (negate && word) {
+        parsed.excludes.push(word.toLowerCase());
+      } else {
+        parsed.terms.push(...tokenize(word));
+      }
+    }
+
+    return parsed;
+  }
+
+  function getDocuments() {
+    return searchIndex.concat(sectionIndex, personalIndex);
+  }
+
+  function prepare(doc) {
+    if (!doc.tokens) {
+      doc.titleTokens = tokenize(doc.title);
+      doc.tokens = tokenize(doc.text || '');
+      doc.lowerText = `${doc.title} ${doc.text || ''}`.toLowerCase();
+    }
+    return doc;
+  }
+
+  function getVocabulary() {
+    if (!vocabulary) {
+      vocabulary = new Set();
+      getDocuments().forEach(doc => {
+        prepare(doc);
+        doc.titleTokens.forEach(token => vocabulary.add(token));
+        doc.tokens.forEach(token => vocabulary.add(token));
+      });
+    }
+    return vocabulary;
+  }
+
+  // Optimal string alignment distance, giving up once it exceeds max
+  function editDistance(a, b, max) {
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, row[j]);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+
+    return prev[b.length];
+  }
+
+  /**
+   * Words in the index a term matches, with a match quality: exact beats
+   * prefix, prefix beats a typo-tolerant match.
+   */
+  function expandTerm(term) {
+    const matches = new Map();
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+    getVocabulary().forEach(word => {
+      if (word === term) {
+        matches.set(word, MATCH_QUALITY.exact);
+      } else if (term.length >= 2 && word.startsWith(term)) {
+        matches.set(word, MATCH_QUALITY.prefix);
+      } else if (maxDistance > 0 && Math.abs(word.length - term.length) <= maxDistance) {
+        const distance = editDistance(term, word, maxDistance);
+        if (distance <= maxDistance) {
+          matches.set(word, MATCH_QUALITY.fuzzy * (1 - distance / (term.length + 1)));
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  function matchTokens(tokens, matches, highlights) {
+    let quality = 0;
+    let count = 0;
+    const positions = [];
+
+    tokens.forEach((token, position) => {
+      const q = matches.get(token);
+      if (q) {
+        quality = Math.max(quality, q);
+        count++;
+        if (positions.length < MAX_POSITIONS) positions.push(position);
+        highlights.add(token);
+      }
+    });
+
+    return { quality, count, positions };
+  }
+
+  // Smallest window of body tokens containing one match of every term
+  function smallestSpan(positionLists) {
+    const pointers = positionLists.map(() => 0);
+    let best = Infinity;
+
+    for (;;) {
+      let min = Infinity;
+      let max = -Infinity;
+      let minList = 0;
+      positionLists.forEach((list, i) => {
+        const value = list[pointers[i]];
+        if (value < min) {
+          min = value;
+          minList = i;
+        }
+        max = Math.max(max, value);
+      });
+
+      best = Math.min(best, max - min + 1);
+      pointers[minList]++;
+      if (pointers[minList] >= positionLists[minList].length) return best;
+    }
+  }
+
+  function matchesType(doc, type) {
+    return doc.type === type || (type === 'code' && Boolean(doc.code));
+  }
+
+  function matchesTopic(doc, value) {
+    const file = doc.file || doc.href.split('#')[0];
+    const page = indexPages.find(p => p.file === file);
+    const names = [
+      file.replace(/^\d+-/, '').replace('.html', ''),
+      page ? page.id : '',
+      (page ? page.title : doc.title).toLowerCase(),
+    ];
+    return names.some(name => name.startsWith(value) || name.includes(value));
+  }
+
+  // Inside at least one of each included scope, and none of the excluded ones
+  function matchesScope(doc, scopes, excludeScopes) {
+    if (scopes.type.length > 0 && !scopes.type.some(type => matchesType(doc, type))) {
+      return false;
+    }
+    if (scopes.in.length > 0 && !scopes.in.some(value => matchesTopic(doc, value))) {
+      return false;
+    }
 
-    const lowerQuery = query.toLowerCase();
-    return searchIndex.filter(item => item.title.toLowerCase().includes(lowerQuery));
+    return (
+      !excludeScopes.type.some(type => matchesType(doc, type)) &&
+      !excludeScopes.in.some(value => matchesTopic(doc, value))
+    );
+  }
+
+  function scoreDocument(doc, parsed, expansions) {
+    prepare(doc);
+
+    if (!matchesScope(doc, parsed.scopes, parsed.excludeScopes)) return null;
+    if (parsed.excludes.some(term => doc.lowerText.includes(term))) return null;
+
+    const levelWeight = LEVEL_WEIGHTS[doc.level || doc.type] || 1;
+    const highlights = new Set();
+    const positionLists = [];
+    let score = 0;
+
+    for (const matches of expansions) {
+      const title = matchTokens(doc.titleTokens, matches, highlights);
+      const body = matchTokens(doc.tokens, matches, highlights);
+      if (!title.quality && !body.quality) return null;
+
+      score += title.quality * TITLE_WEIGHT * levelWeight;
+      score += body.quality * (1 + Math.log(body.count || 1)) * levelWeight;
+      if (body.positions.length > 0) positionLists.push(body.positions);
+    }
+
+    for (const phrase of parsed.phrases) {
+      if (!doc.lowerText.includes(phrase)) return null;
+      score += doc.title.toLowerCase().includes(phrase) ? PHRASE_WEIGHT * 3 : PHRASE_WEIGHT;
+      highlights.add(phrase);
+    }
+
+    if (expansions.length > 1 && positionLists.length === expansions.length) {
+      score += (PROXIMITY_WEIGHT * expansions.length) / smallestSpan(positionLists);
+    }
+
+    // Operator-only queries list everything in scope, in page order
+    if (expansions.length === 0 && parsed.phrases.length === 0) {
+      score = levelWeight;
+    }
+
+    return { score, highlights: [...highlights] };
+  }
+
+  /**
+   * Ranked search over topic titles, heading sections (once loaded), and the
+   * user's flashcards and notes.
+   * @param {string} query - Free text plus "phrases", -exclusions, in:topic and
+   *   type:code|section|page|flashcard|note
+   * @param {object} [options]
+   * @param {string[]} [options.groups] - Result groups to include (content, flashcards,
+   *   notes); defaults to the groups enabled in the modal
+   * @param {number} [options.limit] - Maximum number of results per group
+   * @returns {Array} Results sorted by score, each with `highlights` (matched words)
+   */
+  function search(query, options = {}) {
+    const groups = options.groups
+      ? GROUPS.filter(group => options.groups.includes(group.id))
+      : GROUPS.filter(group => !disabledGroups.includes(group.id));
+
+    if (!query || !query.trim()) {
+      return groups.some(group => group.id === 'content') ? searchIndex : [];
+    }
+
+    const parsed = parseQuery(query);
+    const expansions = parsed.terms.map(expandTerm);
+    const counts = new Map();
+    const results = [];
+
+    getDocuments().forEach(doc => {
+      if (!groups.includes(getGroup(doc))) return;
+
+      const scored = scoreDocument(doc, parsed, expansions);
+      if (scored) {
+        results.push({ ...doc, ...scored });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .filter(result => {
+        const group = getGroup(result);
+        const count = (counts.get(group) || 0) + 1;
+        counts.set(group, count);
+        return count <= (options.limit || group.limit);
+      });
+  }
+
+  function getSnippet(text, highlights) {
+    if (!text) return '';
+
+    const lowerText = text.toLowerCase();
+    const positions = highlights.map(word => lowerText.indexOf(word)).filter(pos => pos !== -1);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, first - SNIPPET_RADIUS);
+    let end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+    // Avoid cutting words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length)
+      end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    return (start > 0 ? '… ' : '') + text.slice(start, end) + (end < text.length ? ' …' : '');
   }
 
   function displayResults(results, query) {
@@ -37,39 +468,117 @@
     if (!resultsContainer) return;
 
     if (results.length === 0) {
+      if (!query) {
+        resultsContainer.innerHTML = '';
+        return;
+      }
       resultsContainer.innerHTML = `
         <div class="search-no-results">
-          No results found for "${query}"
+          No results found for "${escapeHtml(query)}"
         </div>
       `;
       return;
     }
 
-    resultsContainer.innerHTML = results
-      .map(
-        (result, index) => `
-      <a href="${result.href}"
-         class="search-result ${index === 0 ? 'selected' : ''}"
-         data-index="${index}">
-        <span class="search-result-title">${highlightMatch(result.title, query)}</span>
-      </a>
-    `
-      )
+    const grouped = GROUPS.map(group => ({
+      group,
+      results: results.filter(result => getGroup(result) === group),
+    })).filter(({ results: groupResults }) => groupResults.length > 0);
+    let index = 0;
+
+    // Only label groups when more than one kind of result is showing
+    resultsContainer.innerHTML = grouped
+      .map(({ group, results: groupResults }) => {
+        const header =
+          grouped.length > 1
+            ? `<div class="search-group-header">${group.label}<span>${groupResults.length}</span></div>`
+            : '';
+        return header + groupResults.map(result => renderResult(result, index++)).join('');
+      })
       .join('');
 
     resultsContainer.querySelectorAll('.search-result').forEach(el => {
       el.addEventListener('click', e => {
         e.preventDefault();
-        window.location.href = el.getAttribute('href');
+        const action = e.target.closest('.search-result-action');
+        goTo(action ? action.dataset.href : getResultHref(el));
       });
     });
   }
 
-  function highlightMatch(text, query) {
-    if (!query) return text;
+  function renderResult(result, index) {
+    const highlights = result.highlights || [];
+    const selected = index === 0 ? 'selected' : '';
+    const title = highlightTerms(result.title, highlights);
 
-    const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
+    if (result.type === 'page') {
+      return `
+      <a href="${result.href}"
+         class="search-result ${selected}"
+         data-index="${index}">
+        <span class="search-result-title">${title}</span>
+      </a>
+    `;
+    }
+
+    const snippet = highlightTerms(getSnippet(result.text, highlights), highlights);
+
+    if (result.type === 'flashcard') {
+      return `
+      <div class="search-result search-result-flashcard ${selected}"
+           data-index="${index}"
+           data-href="${escapeHtml(result.href)}"
+           data-study-href="${escapeHtml(result.studyHref)}">
+        <span class="search-result-path">${escapeHtml(result.page)} › Flashcard</span>
+        <span class="search-result-title">${title}</span>
+        <span class="search-result-snippet">${snippet}</span>
+        <button type="button" class="search-result-action" data-href="${escapeHtml(result.studyHref)}" title="Study this card">
+          <i class="fas fa-graduation-cap"></i> Study
+        </button>
+      </div>
+    `;
+    }
+
+    const breadcrumb = [result.page, ...(result.path || [])].map(escapeHtml).join(' › ');
+    return `
+      <a href="${escapeHtml(result.href)}"
+         class="search-result search-result-${result.type} ${selected}"
+         data-index="${index}">
+        <span class="search-result-path">${breadcrumb}</span>
+        <span class="search-result-title">${title}</span>
+        <span class="search-result-snippet">${snippet}</span>
+      </a>
+    `;
+  }
+
+  function getResultHref(el) {
+    return el.dataset.href || el.getAttribute('href');
+  }
+
+  function goTo(href) {
+    closeSearch();
+    window.location.href = href;
+  }
+
+  // Matches are found in the plain text and each piece escaped on its own,
+  // so a term like "amp" can't land inside an HTML entity
+  function highlightTerms(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+
+    const pattern = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex)
+      .join('|');
+    return text
+      .split(new RegExp(`(${pattern})`, 'gi'))
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
 
   function escapeRegex(str) {
@@ -87,7 +596,19 @@
     input.value = '';
     input.focus();
 
-    displayResults(searchIndex, '');
+    displayResults(search(''), '');
+
+    // Flashcards and notes load asynchronously from storage
+    const personalData = [window.Flashcards, window.ProgressTracker]
+      .filter(Boolean)
+      .map(module => module.ready);
+
+    Promise.all([loadSectionIndex(), ...personalData]).then(() => {
+      buildPersonalIndex();
+      if (isSearchOpen && input.value) {
+        displayResults(search(input.value), input.value);
+      }
+    });
   }
 
   function closeSearch() {
@@ -104,6 +625,28 @@
     displayResults(results, query);
   }
 
+  function updateFilterButtons() {
+    document.querySelectorAll('.search-filter').forEach(btn => {
+      const active = !disabledGroups.includes(btn.dataset.group);
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  function toggleFilter(groupId) {
+    disabledGroups = disabledGroups.includes(groupId)
+      ? disabledGroups.filter(id => id !== groupId)
+      : [...disabledGroups, groupId];
+    saveFilters();
+    updateFilterButtons();
+
+    const input = document.getElementById('search-input');
+    if (input) {
+      displayResults(search(input.value), input.value);
+      input.focus();
+    }
+  }
+
   function handleSearchKeys(e) {
     if (!isSearchOpen) return;
 
@@ -127,7 +670,11 @@
       case 'Enter':
         e.preventDefault();
         if (selected) {
-          window.location.href = selected.getAttribute('href');
+          goTo(
+            e.shiftKey && selected.dataset.studyHref
+              ? selected.dataset.studyHref
+              : getResultHref(selected)
+          );
         }
         break;
 
@@ -173,6 +720,15 @@
       input.addEventListener('input', handleInput);
     }
 
+    const filters = document.getElementById('search-filters');
+    if (filters) {
+      updateFilterButtons();
+      filters.addEventListener('click', e => {
+        const btn = e.target.closest('.search-filter');
+        if (btn) toggleFilter(btn.dataset.group);
+      });
+    }
+
     const searchBtn = document.getElementById('search-trigger');
     if (searchBtn) {
       searchBtn.addEventListener('click', openSearch);
@@ -197,6 +753,8 @@
     open: openSearch,
     close: closeSearch,
     search,
+    parseQuery,
+    loadIndex: loadSectionIndex,
   };
 
   if (document.readyState === 'loading') {
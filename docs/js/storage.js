@@ -0,0 +1,413 @@
+/**
+ * Storage Layer
+ * Record stores for flashcards, the review log, quizzes, custom decks, progress,
+ * notes and cached AI replies behind a pluggable adapter. IndexedDB is the
+ * default backend. When it cannot be opened, everything is kept in one
+ * localStorage key instead, and only if that fails too in memory, with a
+ * warning on the page. The in-memory adapter is also used for tests.
+ *
+ * Every adapter implements the same Promise-based interface:
+ *   get(store, key)             -> record, or undefined
+ *   put(store, record)          -> key (records carry their own key, see SCHEMA)
+ *   delete(store, key)
+ *   query(store, index?, value?) -> all records, or those whose index equals value
+ *   transaction(stores, fn)     -> runs fn(tx) atomically; tx has get/put/delete/query
+ */
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'theory_test';
+  const MIGRATION_KEY = 'localStorageMigration';
+  // Holds every store when IndexedDB is unavailable (see createLocalStorageAdapter)
+  const FALLBACK_KEY = 'theory_test_db';
+
+  // Keys used before IndexedDB, imported once and then removed
+  const LEGACY_KEYS = {
+    flashcards: 'theory_test_flashcards',
+    progress: 'theory_test_progress',
+    notes: 'theory_test_notes',
+  };
+
+  // Each version lists the stores it adds. Append new versions; never edit
+  // one that has shipped, since upgrades only run versions above the old one.
+  const SCHEMA = [
+    {
+      version: 1,
+      stores: {
+        flashcards: { keyPath: 'id', indexes: ['topicId'] },
+        progress: { keyPath: 'pageId', indexes: [] },
+        notes: { keyPath: 'pageId', indexes: [] },
+        meta: { keyPath: 'key', indexes: [] },
+      },
+    },
+    {
+      version: 2,
+      stores: {
+        // Append-only review log, one record per answer (see Flashcards.recordAnswer)
+        reviews: { keyPath: 'id', indexes: ['cardId', 'topicId'] },
+      },
+    },
+    {
+      version: 3,
+      stores: {
+        // One record per finished multiple-choice quiz (see quiz.js)
+        quizzes: { keyPath: 'id', indexes: ['topicId'] },
+      },
+    },
+    {
+      version: 4,
+      stores: {
+        // Saved filtered decks: a name and a deck query (see deck-query.js)
+        decks: { keyPath: 'id', indexes: [] },
+      },
+    },
+    {
+      version: 5,
+      stores: {
+        // Cached AI replies, one per section and provider (see ai-flashcard-generator.js)
+        aiCache: { keyPath: 'key', indexes: ['topic'] },
+      },
+    },
+  ];
+
+  const DB_VERSION = SCHEMA[SCHEMA.length - 1].version;
+  const STORES = Object.assign({}, ...SCHEMA.map(entry => entry.stores));
+
+  let defaultAdapter = null;
+
+  function getSchema(store) {
+    const schema = STORES[store];
+    if (!schema) {
+      throw new Error(`Unknown store "${store}"`);
+    }
+    return schema;
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function upgradeDatabase(db, oldVersion) {
+    SCHEMA.filter(entry => entry.version > oldVersion).forEach(entry => {
+      Object.entries(entry.stores).forEach(([name, schema]) => {
+        const store = db.createObjectStore(name, { keyPath: schema.keyPath });
+        schema.indexes.forEach(index => store.createIndex(index, index));
+      });
+    });
+  }
+
+  function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+      request.onupgradeneeded = e => upgradeDatabase(request.result, e.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+  }
+
+  function storeOperations(getStore) {
+    return {
+      get: (store, key) => promisify(getStore(store).get(key)),
+      put: (store, record) => promisify(getStore(store).put(record)),
+      delete: (store, key) => promisify(getStore(store).delete(key)),
+      query: (store, index, value) => {
+        const source = index ? getStore(store).index(index) : getStore(store);
+        return promisify(index ? source.getAll(value) : source.getAll());
+      },
+    };
+  }
+
+  /**
+   * Open an IndexedDB-backed adapter, creating or upgrading the database.
+   * @param {string} [name] - Database name
+   * @returns {Promise<object>} Adapter
+   */
+  function createIndexedDBAdapter(name = DB_NAME) {
+    return openDatabase(name).then(db => {
+      // Another tab needs a newer schema: step aside so its upgrade can run
+      db.onversionchange = () => db.close();
+
+      function run(stores, mode, callback) {
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction(stores, mode);
+          let result;
+
+          tx.oncomplete = () => resolve(result);
+          tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+          Promise.resolve()
+            .then(() => callback(storeOperations(store => tx.objectStore(store))))
+            .then(value => {
+              result = value;
+            })
+            .catch(err => {
+              reject(err);
+              try {
+                tx.abort();
+              } catch (e) {
+                // Already finished
+              }
+            });
+        });
+      }
+
+      return {
+        persistent: true,
+        get: (store, key) => run(store, 'readonly', ops => ops.get(store, key)),
+        put: (store, record) => run(store, 'readwrite', ops => ops.put(store, record)),
+        delete: (store, key) => run(store, 'readwrite', ops => ops.delete(store, key)),
+        query: (store, index, value) =>
+          run(store, 'readonly', ops => ops.query(store, index, value)),
+        transaction: (stores, callback) => run(stores, 'readwrite', callback),
+      };
+    });
+  }
+
+  function clone(record) {
+    return record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+  }
+
+  /**
+   * Create an adapter that keeps everything in memory. Nothing survives a
+   * page load unless options.save stores the tables somewhere; transactions
+   * stage their writes and apply them key by key on success, so writes made
+   * outside the transaction while it runs are kept.
+   * @param {object} [options]
+   * @param {object} [options.records] - Initial records, { store: [record] }
+   * @param {function} [options.save] - Called with the same shape after each write
+   * @returns {object} Adapter
+   */
+  function createMemoryAdapter(options = {}) {
+    const tables = {};
+    Object.keys(STORES).forEach(name => {
+      const keyPath = STORES[name].keyPath;
+      const records = (options.records && options.records[name]) || [];
+      tables[name] = new Map(records.map(record => [record[keyPath], record]));
+    });
+
+    function save() {
+      if (!options.save) return;
+
+      const records = {};
+      Object.keys(tables).forEach(name => {
+        records[name] = Array.from(tables[name].values());
+      });
+      options.save(records);
+    }
+
+    function operations(getTable, onWrite) {
+      return {
+        get: (store, key) => Promise.resolve(clone(getTable(store).get(key))),
+        put: (store, record) => {
+          const key = record[getSchema(store).keyPath];
+          if (key === undefined) {
+            return Promise.reject(new Error(`Record for "${store}" has no key`));
+          }
+          getTable(store).set(key, clone(record));
+          return Promise.resolve()
+            .then(() => onWrite(store, key))
+            .then(() => key);
+        },
+        delete: (store, key) => {
+          getTable(store).delete(key);
+          return Promise.resolve().then(() => onWrite(store, key));
+        },
+        query: (store, index, value) => {
+          const records = Array.from(getTable(store).values());
+          return Promise.resolve(
+            records.filter(record => !index || record[index] === value).map(clone)
+          );
+        },
+      };
+    }
+
+    function getTable(store) {
+      getSchema(store);
+      return tables[store];
+    }
+
+    return {
+      persistent: Boolean(options.save),
+      ...operations(getTable, save),
+      transaction(stores, callback) {
+        const names = [].concat(stores);
+        const staged = {};
+        const written = {};
+        names.forEach(name => {
+          staged[name] = new Map(getTable(name));
+          written[name] = new Set();
+        });
+
+        const getStaged = store => {
+          if (!staged[store]) {
+            throw new Error(`Store "${store}" is not part of this transaction`);
+          }
+          return staged[store];
+        };
+
+        return Promise.resolve()
+          .then(() => callback(operations(getStaged, (store, key) => written[store].add(key))))
+          .then(result => {
+            names.forEach(name => {
+              written[name].forEach(key => {
+                if (staged[name].has(key)) {
+                  tables[name].set(key, staged[name].get(key));
+                } else {
+                  tables[name].delete(key);
+                }
+              });
+            });
+            save();
+            return result;
+          });
+      },
+    };
+  }
+
+  /**
+   * Create an adapter that keeps every store in one localStorage key. Used
+   * when IndexedDB cannot be opened (some private windows, blocked storage,
+   * an upgrade blocked by another tab), so changes still survive a reload.
+   * @param {string} [key] - localStorage key
+   * @returns {object} Adapter
+   */
+  function createLocalStorageAdapter(key = FALLBACK_KEY) {
+    return createMemoryAdapter({
+      records: readLegacyKey(key, {}),
+      save: records => localStorage.setItem(key, JSON.stringify(records)),
+    });
+  }
+
+  // Last resort: tell the user, since nothing they do will be kept
+  function showUnsavedWarning() {
+    const show = () => {
+      const warning = document.createElement('div');
+      warning.className = 'storage-warning';
+      warning.setAttribute('role', 'alert');
+      warning.textContent =
+        'Browser storage is blocked, so changes will not be saved after you leave this page.';
+      document.body.appendChild(warning);
+    };
+
+    if (document.body) {
+      show();
+    } else {
+      document.addEventListener('DOMContentLoaded', show);
+    }
+  }
+
+  function readLegacyKey(key, fallback) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : fallback;
+    } catch (e) {
+      console.error(`Error reading ${key}:`, e);
+      return fallback;
+    }
+  }
+
+  function importLegacyData(adapter) {
+    const flashcards = readLegacyKey(LEGACY_KEYS.flashcards, {}).flashcards || {};
+    const progress = readLegacyKey(LEGACY_KEYS.progress, {});
+    const notes = readLegacyKey(LEGACY_KEYS.notes, {});
+
+    return adapter.transaction(['flashcards', 'progress', 'notes', 'meta'], tx => {
+      const writes = [];
+      const cardIds = new Set();
+
+      // Ids were only unique per topic (an imported deck kept its ids), so a
+      // card whose id is already taken gets a new one instead of overwriting
+      Object.keys(flashcards).forEach(topicId => {
+        flashcards[topicId].forEach((card, i) => {
+          let id = card.id && !cardIds.has(card.id) ? card.id : `fc-migrated-${topicId}-${i}`;
+          for (let n = 2; cardIds.has(id); n++) {
+            id = `fc-migrated-${topicId}-${i}-${n}`;
+          }
+          cardIds.add(id);
+          writes.push(tx.put('flashcards', { ...card, id, topicId }));
+        });
+      });
+      Object.keys(progress).forEach(pageId => {
+        writes.push(tx.put('progress', { ...progress[pageId], pageId }));
+      });
+      Object.keys(notes).forEach(pageId => {
+        writes.push(tx.put('notes', { pageId, content: notes[pageId] }));
+      });
+      writes.push(tx.put('meta', { key: MIGRATION_KEY, date: new Date().toISOString() }));
+
+      return Promise.all(writes);
+    });
+  }
+
+  /**
+   * Copy flashcards, progress and notes out of localStorage the first time a
+   * persistent adapter is opened, then drop the old keys. Non-persistent
+   * adapters get a copy but the keys stay, since nothing else would keep them.
+   */
+  function migrateFromLocalStorage(adapter) {
+    return adapter.get('meta', MIGRATION_KEY).then(migrated => {
+      if (migrated) return;
+
+      return importLegacyData(adapter).then(() => {
+        if (adapter.persistent) {
+          Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+        }
+      });
+    });
+  }
+
+  function openDefaultAdapter() {
+    const adapter =
+      typeof indexedDB === 'undefined'
+        ? Promise.reject(new Error('IndexedDB is not supported'))
+        : createIndexedDBAdapter();
+
+    return adapter
+      .catch(err => {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+        try {
+          localStorage.setItem(FALLBACK_KEY, localStorage.getItem(FALLBACK_KEY) || '{}');
+          return createLocalStorageAdapter();
+        } catch (e) {
+          console.warn('localStorage unavailable, changes will not be saved:', e);
+          showUnsavedWarning();
+          return createMemoryAdapter();
+        }
+      })
+      .then(opened => migrateFromLocalStorage(opened).then(() => opened));
+  }
+
+  /**
+   * The shared adapter, opened (and migrated) on first use.
+   * @returns {Promise<object>} Adapter
+   */
+  function open() {
+    if (!defaultAdapter) {
+      defaultAdapter = openDefaultAdapter();
+    }
+    return defaultAdapter;
+  }
+
+  /**
+   * Replace the shared adapter, e.g. with createMemoryAdapter() in tests.
+   * Must run before the modules that read from storage are loaded.
+   * @param {object} adapter
+   */
+  function useAdapter(adapter) {
+    defaultAdapter = Promise.resolve(adapter);
+  }
+
+  window.StudyStorage = {
+    open,
+    useAdapter,
+    createIndexedDBAdapter,
+    createMemoryAdapter,
+    createLocalStorageAdapter,
+    migrateFromLocalStorage,
+  };
+})();
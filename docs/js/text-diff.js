@@ -0,0 +1,144 @@
+/**
+ * Text Diff
+ * Compares a typed answer with the expected one, word by word or character by
+ * character, and scores how close they are. Matching ignores case and runs of
+ * whitespace. Line breaks are kept so multi-line answers such as console
+ * output diff line by line.
+ *
+ *   diff(expected, actual, options) -> [{ type, value }], where type is
+ *     'equal'   in both (value taken from the expected text)
+ *     'missing' expected but not typed
+ *     'extra'   typed but not expected
+ *   similarity(expected, actual) -> 0-1, how much of the text matches
+ */
+
+(function () {
+  'use strict';
+
+  // Short answers are shown per character, longer ones per word
+  const CHAR_MODE_MAX_WORDS = 3;
+
+  // Above this many table cells, similarity is scored per word instead of per
+  // character to keep long answers cheap
+  const MAX_CHAR_CELLS = 250000;
+
+  const WORD_PATTERN = /\s+|[\w$]+|[^\s\w$]/g;
+
+  function normalize(text) {
+    return (text || '')
+      .trim()
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ ?\n[\s]*/g, '\n');
+  }
+
+  function tokenize(text, mode) {
+    if (!text) return [];
+    return mode === 'char' ? Array.from(text) : text.match(WORD_PATTERN);
+  }
+
+  function keyOf(token) {
+    return /^\s+$/.test(token) ? ' ' : token.toLowerCase();
+  }
+
+  function chooseMode(expected) {
+    return expected.split(/\s/).length <= CHAR_MODE_MAX_WORDS ? 'char' : 'word';
+  }
+
+  // Longest common subsequence table, filled from the end so the walk in
+  // diff() can go front to back
+  function lcsTable(a, b) {
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] =
+          keyOf(a[i]) === keyOf(b[j])
+            ? table[i + 1][j + 1] + 1
+            : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    return table;
+  }
+
+  function push(ops, type, value) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      ops.push({ type, value });
+    }
+  }
+
+  function diffTokens(left, right) {
+    const table = lcsTable(left, right);
+    const ops = [];
+
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+      if (keyOf(left[i]) === keyOf(right[j])) {
+        push(ops, 'equal', left[i]);
+        i++;
+        j++;
+      } else if (table[i][j + 1] >= table[i + 1][j]) {
+        // What was typed comes first, then what should have been
+        push(ops, 'extra', right[j++]);
+      } else {
+        push(ops, 'missing', left[i++]);
+      }
+    }
+    while (i < left.length) push(ops, 'missing', left[i++]);
+    while (j < right.length) push(ops, 'extra', right[j++]);
+
+    return ops;
+  }
+
+  /**
+   * @param {string} expected
+   * @param {string} actual
+   * @param {object} [options]
+   * @param {string} [options.mode] - 'char', 'word' or 'auto' (default)
+   * @returns {Array<{type: string, value: string}>}
+   */
+  function diff(expected, actual, options = {}) {
+    const a = normalize(expected);
+    const b = normalize(actual);
+    const mode = !options.mode || options.mode === 'auto' ? chooseMode(a) : options.mode;
+    return diffTokens(tokenize(a, mode), tokenize(b, mode));
+  }
+
+  /**
+   * Dice coefficient: matched characters counted on both sides, divided by
+   * all characters on both sides, ignoring whitespace. Matching is per
+   * character, so a typo in a long answer only costs a letter or two.
+   * @param {string} expected
+   * @param {string} actual
+   * @returns {number} 1 for identical text, 0 for nothing in common
+   */
+  function similarity(expected, actual) {
+    const a = normalize(expected);
+    const b = normalize(actual);
+    const mode = a.length * b.length <= MAX_CHAR_CELLS ? 'char' : 'word';
+    const ops = diffTokens(tokenize(a, mode), tokenize(b, mode));
+    const size = value => value.replace(/\s/g, '').length;
+    let matched = 0;
+    let total = 0;
+
+    ops.forEach(op => {
+      const length = size(op.value);
+      if (op.type === 'equal') {
+        matched += length * 2;
+        total += length * 2;
+      } else {
+        total += length;
+      }
+    });
+
+    return total === 0 ? 1 : matched / total;
+  }
+
+  window.TextDiff = {
+    diff,
+    similarity,
+    normalize,
+  };
+})();